@@ -1,48 +1,678 @@
-import { Plugin, WorkspaceLeaf, MarkdownView, Notice, EventRef, setIcon, PluginSettingTab, App, Setting, SliderComponent, Platform } from 'obsidian';
+import { Plugin, WorkspaceLeaf, MarkdownView, Notice, EventRef, setIcon, PluginSettingTab, App, Setting, SliderComponent, Platform, SuggestModal, TFile, debounce, View, FuzzySuggestModal, FuzzyMatch, getIconIds, Component, MarkdownRenderer, WorkspaceItem, getAllTags, Modal } from 'obsidian';
 
 // --- Interfaces ---
 interface Position { top: string; left: string; } // Percentages '0%' to '100%'
+interface Anchor extends Position { name: string; } // Named saved FAB position
+type Orientation = 'portrait' | 'landscape';
+type HistoryScope = 'global' | 'window' | 'split' | 'tabGroup';
+type FabShape = 'circle' | 'rounded' | 'pill';
+interface Bounds { top: number; left: number; bottom: number; right: number; } // Pixels
+
+// Saved anchors of one device profile (platform and screen size), so synced devices keep their own layout
+interface DeviceLayout {
+    anchorsPortrait: Anchor[];
+    activeIndexPortrait: number;
+    anchorsLandscape: Anchor[];
+    activeIndexLandscape: number;
+}
+type SwipeGesture = 'swipeUp' | 'swipeDown' | 'swipeLeft' | 'swipeRight';
+type FabGesture = 'tap' | 'doubleTap' | 'longPress' | SwipeGesture;
+type FabAction = 'none' | 'jumpRecent' | 'jumpPinned' | 'goBack' | 'goForward' | 'toggleSide' | 'openHistory' | 'openMenu' | 'command' | 'custom' | 'drag';
+
+// Action bound to a gesture; commandId is only used by the 'command' action, customActionId by the 'custom' action
+interface GestureMapping { action: FabAction; commandId: string; customActionId?: string; }
+
+// Entry of the quick-action menu around the FAB
+interface MenuItem { icon: string; commandId: string; }
+
+// Pinned tab (leafId set) or pinned file (leafId null); a closed pinned tab is reopened from its file
+interface Pin { leafId: string | null; filePath: string | null; }
+
+// One entry of the recent-tab history
+interface HistoryEntry {
+    leaf: WorkspaceLeaf | null; // null when the leaf was closed or did not survive a restart; the file is reopened on jump
+    filePath: string | null;
+    eState: Record<string, unknown> | null; // Ephemeral state (scroll, cursor) to restore when reopening
+    line: number | null; // Cursor line of a location entry (location-level history only)
+}
+
+// History entry as stored in the plugin data
+interface SavedHistoryEntry {
+    leafId: string | null;
+    filePath: string | null;
+    eState: Record<string, unknown> | null;
+    line?: number | null;
+}
+
+// --- Public API ---
+// History entry as handed out to other plugins
+export interface RecentTabHistoryItem {
+    leaf: WorkspaceLeaf | null; // null for closed tabs, which are reopened from their file when jumped to
+    filePath: string | null;
+    line: number | null; // Cursor line of a location entry (location-level history only)
+    title: string;
+}
+
+// FAB action contributed by another plugin, selectable for any gesture in the settings
+export interface FabCustomAction {
+    id: string; // Stored in the gesture settings, so keep it stable (e.g. prefix it with your plugin id)
+    name: string; // Shown in the settings and the FAB tooltip
+    callback: (win: Window) => void; // Receives the window of the pressed FAB
+}
+
+// Available as app.plugins.plugins['recent-tab-switcher-fab'].api
+export interface RecentTabSwitcherApi {
+    // History of the given window's scope, or the whole history without a window; newest first
+    getHistory(win?: Window): RecentTabHistoryItem[];
+    // Opens the entry at an index of getHistory(win); false if the index is out of range or the tab is gone
+    jumpToIndex(index: number, win?: Window): boolean;
+    jumpToRecentTab(win?: Window): void;
+    // Records a leaf as the most recent tab, e.g. one opened in the background
+    pushLeaf(leaf: WorkspaceLeaf): void;
+    // Pinned tabs and files, in the order "Jump to pinned tab" visits them (line is always null)
+    getPins(): RecentTabHistoryItem[];
+    pinLeaf(leaf: WorkspaceLeaf): void;
+    pinFile(filePath: string): void;
+    // Removes the pin at an index of getPins()
+    unpin(index: number): void;
+    jumpToPinned(win?: Window): void;
+    showFab(): void;
+    hideFab(): void;
+    isFabVisible(): boolean;
+    // Returns a function that unregisters the action again
+    registerFabAction(action: FabCustomAction): () => void;
+}
+
+// Workspace events triggered by the plugin
+declare module 'obsidian' {
+    interface Workspace {
+        on(name: 'recent-tab-switcher:jump', callback: (target: RecentTabHistoryItem, previousLeaf: WorkspaceLeaf | null) => any, ctx?: any): EventRef;
+        on(name: 'recent-tab-switcher:history-changed', callback: () => any, ctx?: any): EventRef;
+    }
+}
 
-// Settings structure for orientation-specific positions
+// Settings structure
 interface RecentTabsPluginSettings {
-    // Portrait positions
-    posPortraitLeft: Position;
-    posPortraitRight: Position;
-    activeIndexPortrait: 0 | 1; // 0 for left, 1 for right in portrait
-    // Landscape positions
-    posLandscapeLeft: Position;
-    posLandscapeRight: Position;
-    activeIndexLandscape: 0 | 1; // 0 for left, 1 for right in landscape
+    // Positions, keyed by device profile id
+    layouts: Record<string, DeviceLayout>;
     // Appearance settings
     fabSize: number;
     fabOpacity: number;
+    showFab: boolean;
+    fabIcon: string; // Lucide icon id
+    fabShape: FabShape;
+    // Colors as hex values; empty to follow the theme
+    fabBackgroundColor: string;
+    fabForegroundColor: string;
+    fabAccentColor: string;
+    targetBadge: 'off' | 'name' | 'initials' | 'icon'; // What the badge on the FAB shows about the recent tab
+    peekOnHold: boolean; // Preview the recent tab while the FAB is held
+    // History settings
+    historyDepth: number; // Maximum number of leaves kept in the recent history
+    historyMode: 'leaf' | 'location'; // Remember tabs, or cursor/scroll locations inside them
+    historyScope: HistoryScope; // Share one history across the workspace, or keep one per window/root split/tab group
+    closedTabs: 'reopen' | 'skip'; // Keep closed tabs in the history to reopen their file, or drop them
+    pins: Pin[]; // "Home base" tabs and files, in the order the pinned jump visits them
+    viewTypeFilterMode: 'allow' | 'deny'; // Whether viewTypeList lists the only tracked types or the ignored ones
+    viewTypeList: string[]; // View types as returned by view.getViewType()
+    // Gesture settings
+    gestureActions: Record<FabGesture, GestureMapping>;
+    longPressDuration: number; // ms
+    dragThreshold: number; // px of movement before a press becomes a drag or swipe
+    // Placement settings
+    respectSafeArea: boolean; // Keep clear of notches and the home indicator (env(safe-area-inset-*))
+    snapToEdge: boolean;
+    snapDistance: number; // px from a screen edge within which a dropped FAB snaps to it
+    avoidObsidianUI: boolean; // Move the FAB off toolbars, the status bar and view headers
+    // Auto-hide settings
+    autoHideMode: 'off' | 'fade' | 'slide';
+    hideWhileTyping: boolean;
+    hideWhileScrolling: boolean;
+    hideWhileKeyboardOpen: boolean;
+    autoHideIdleDelay: number; // ms without typing/scrolling before the FAB reappears
+    // Visibility rules
+    showOnPhone: boolean;
+    showOnTablet: boolean;
+    showOnDesktop: boolean;
+    hiddenViewTypes: string[]; // Active view types the FAB hides over (e.g. graph)
+    hiddenFolders: string[]; // Folder paths; the FAB hides while the active file is inside one
+    hiddenTags: string[]; // Tags without '#'; the FAB hides while the active file has one or a nested tag of it
+    hideWithoutHistory: boolean; // Hide while the window's history has fewer than two entries
+    statusBarToggle: boolean; // Show/hide toggle in the status bar (desktop only)
+    // Quick-action menu settings
+    menuLayout: 'radial' | 'stack';
+    menuItems: MenuItem[];
 }
 
-// Defaults for orientation-specific positions
-const DEFAULT_SETTINGS: RecentTabsPluginSettings = {
+// Layout used for devices that have no saved positions yet
+const DEFAULT_LAYOUT: DeviceLayout = {
     // Portrait defaults (usually taller than wide)
-    posPortraitLeft: { top: '85%', left: '10%' },
-    posPortraitRight: { top: '85%', left: '90%' },
+    anchorsPortrait: [
+        { name: 'Left', top: '85%', left: '10%' },
+        { name: 'Right', top: '85%', left: '90%' },
+    ],
     activeIndexPortrait: 1, // Default right in portrait
     // Landscape defaults (usually wider than tall)
-    posLandscapeLeft: { top: '80%', left: '5%' },
-    posLandscapeRight: { top: '80%', left: '95%' },
+    anchorsLandscape: [
+        { name: 'Left', top: '80%', left: '5%' },
+        { name: 'Right', top: '80%', left: '95%' },
+    ],
     activeIndexLandscape: 1, // Default right in landscape
+};
+
+function cloneLayout(layout: DeviceLayout): DeviceLayout {
+    return {
+        anchorsPortrait: layout.anchorsPortrait.map(anchor => ({ ...anchor })),
+        activeIndexPortrait: layout.activeIndexPortrait,
+        anchorsLandscape: layout.anchorsLandscape.map(anchor => ({ ...anchor })),
+        activeIndexLandscape: layout.activeIndexLandscape,
+    };
+}
+
+// Defaults
+const DEFAULT_SETTINGS: RecentTabsPluginSettings = {
+    // Positions (created per device from DEFAULT_LAYOUT)
+    layouts: {},
     // Appearance
     fabSize: 50,
     fabOpacity: 1.0,
+    showFab: true,
+    fabIcon: 'arrow-left-right',
+    fabShape: 'rounded',
+    fabBackgroundColor: '',
+    fabForegroundColor: '',
+    fabAccentColor: '',
+    targetBadge: 'off',
+    peekOnHold: false,
+    // History
+    historyDepth: 20,
+    historyMode: 'leaf',
+    historyScope: 'global',
+    closedTabs: 'reopen',
+    pins: [],
+    // Track every kind of tab (Markdown, Canvas, PDF, images, graph, plugin views, ...) except sidebar panels
+    viewTypeFilterMode: 'deny',
+    viewTypeList: ['empty', 'file-explorer', 'search', 'bookmarks', 'tag', 'outline', 'backlink', 'outgoing-link', 'all-properties', 'file-properties'],
+    // Gestures
+    gestureActions: {
+        tap: { action: 'jumpRecent', commandId: '' },
+        doubleTap: { action: 'none', commandId: '' },
+        longPress: { action: 'toggleSide', commandId: '' },
+        swipeUp: { action: 'openHistory', commandId: '' },
+        swipeDown: { action: 'drag', commandId: '' },
+        swipeLeft: { action: 'goBack', commandId: '' },
+        swipeRight: { action: 'goForward', commandId: '' },
+    },
+    longPressDuration: 1000,
+    dragThreshold: 5,
+    // Placement
+    respectSafeArea: true,
+    snapToEdge: false,
+    snapDistance: 24,
+    avoidObsidianUI: true,
+    // Auto-hide
+    autoHideMode: 'off',
+    hideWhileTyping: true,
+    hideWhileScrolling: true,
+    hideWhileKeyboardOpen: true,
+    autoHideIdleDelay: 1500,
+    // Visibility rules
+    showOnPhone: true,
+    showOnTablet: true,
+    showOnDesktop: true,
+    hiddenViewTypes: [],
+    hiddenFolders: [],
+    hiddenTags: [],
+    hideWithoutHistory: false,
+    statusBarToggle: true,
+    // Quick-action menu (opened by any gesture mapped to it)
+    menuLayout: 'radial',
+    menuItems: [
+        { icon: 'calendar', commandId: 'daily-notes' },
+        { icon: 'search', commandId: 'global-search:open' },
+        { icon: 'terminal-square', commandId: 'command-palette:open' },
+        { icon: 'arrow-left-right', commandId: 'recent-tab-switcher-fab:jump-to-recent-tab' },
+    ],
+}
+
+const GESTURE_LABELS: Record<FabGesture, string> = {
+    tap: 'Tap',
+    doubleTap: 'Double tap',
+    longPress: 'Long press',
+    swipeUp: 'Swipe up',
+    swipeDown: 'Swipe down',
+    swipeLeft: 'Swipe left',
+    swipeRight: 'Swipe right',
+};
+
+const FAB_ACTION_LABELS: Record<FabAction, string> = {
+    none: 'Do nothing',
+    jumpRecent: 'Jump to recent tab',
+    jumpPinned: 'Jump to pinned tab',
+    goBack: 'Go back in tab history',
+    goForward: 'Go forward in tab history',
+    toggleSide: 'Cycle FAB position',
+    openHistory: 'Open tab history picker',
+    openMenu: 'Open quick-action menu',
+    command: 'Run a command',
+    custom: 'Run a plugin action',
+    drag: 'Drag mode (move the button)',
+};
+
+const DOUBLE_TAP_WINDOW = 300; // ms between two taps of a double tap
+const LOCATION_MIN_DISTANCE = 10; // Lines the cursor has to move before a new location is recorded
+const PEEK_DELAY = 400; // ms the FAB has to be held before the recent tab preview shows
+const PILL_WIDTH_RATIO = 1.6; // Width of the pill shaped FAB relative to its height (matches styles.css)
+const SWIPE_MAX_DURATION = 300; // ms from press to release of a swipe
+const SWIPE_MIN_DISTANCE = 40; // px a swipe has to travel
+
+// Obsidian UI elements the FAB should not cover
+const OBSTACLE_SELECTORS = [
+    '.mobile-navbar',
+    '.mobile-toolbar',
+    '.status-bar',
+    '.workspace-leaf.mod-active .view-header',
+];
+
+// --- Position Math ---
+// Pure helpers behind the placement methods, in pixels unless noted
+interface Point { left: number; top: number; } // Top-left corner
+interface Size { width: number; height: number; }
+
+// Saved positions are percentages of the window; malformed values count as 0%
+export function positionToPoint(position: Position, viewport: Size): Point {
+    return {
+        left: ((parseFloat(position.left) || 0) / 100) * viewport.width,
+        top: ((parseFloat(position.top) || 0) / 100) * viewport.height,
+    };
+}
+
+export function pointToPosition(point: Point, viewport: Size): Position {
+    return {
+        top: `${((point.top / viewport.height) * 100).toFixed(2)}%`,
+        left: `${((point.left / viewport.width) * 100).toFixed(2)}%`,
+    };
+}
+
+// Keep the whole FAB inside the bounds
+export function clampPoint(point: Point, fab: Size, bounds: Bounds): Point {
+    return {
+        left: Math.max(bounds.left, Math.min(point.left, bounds.right - fab.width)),
+        top: Math.max(bounds.top, Math.min(point.top, bounds.bottom - fab.height)),
+    };
+}
+
+// Pull the FAB onto any edge it is within the given distance of
+export function snapPoint(point: Point, fab: Size, bounds: Bounds, distance: number): Point {
+    let { left, top } = point;
+    if (left - bounds.left <= distance) left = bounds.left;
+    else if (bounds.right - (left + fab.width) <= distance) left = bounds.right - fab.width;
+    if (top - bounds.top <= distance) top = bounds.top;
+    else if (bounds.bottom - (top + fab.height) <= distance) top = bounds.bottom - fab.height;
+    return { left, top };
+}
+
+// Move the FAB off the obstacles, taking the shortest way out that stays in bounds
+export function avoidRects(point: Point, fab: Size, bounds: Bounds, obstacles: Bounds[]): Point {
+    let { left, top } = point;
+    // A few passes, since escaping one element can land on another
+    for (let pass = 0; pass < 3; pass++) {
+        const obstacle = obstacles.find(rect =>
+            left < rect.right && left + fab.width > rect.left && top < rect.bottom && top + fab.height > rect.top);
+        if (!obstacle) break;
+
+        const candidates = [
+            { left, top: obstacle.top - fab.height }, // Above
+            { left, top: obstacle.bottom },           // Below
+            { left: obstacle.left - fab.width, top }, // Left of it
+            { left: obstacle.right, top },            // Right of it
+        ].filter(candidate =>
+            candidate.left >= bounds.left && candidate.left + fab.width <= bounds.right
+            && candidate.top >= bounds.top && candidate.top + fab.height <= bounds.bottom);
+        if (candidates.length === 0) break;
+
+        const distanceTo = (candidate: Point) => Math.abs(candidate.left - left) + Math.abs(candidate.top - top);
+        const closest = candidates.reduce((best, candidate) => distanceTo(candidate) < distanceTo(best) ? candidate : best);
+        left = closest.left;
+        top = closest.top;
+    }
+    return { left, top };
+}
+
+// Push a dropped FAB away from every other anchor whose center is closer than minSeparation.
+// Returns null when no anchor is too close (an anchor on exactly the same spot does not count).
+export function separateFromAnchors(point: Point, fab: Size, anchors: Point[], minSeparation: number, bounds: Bounds): Point | null {
+    let current = point;
+    let adjusted = false;
+    anchors.forEach(anchor => {
+        const dx = current.left - anchor.left;
+        const dy = current.top - anchor.top;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= minSeparation || distance <= 1) return;
+        // Same distance in the same direction, measured between the centers
+        current = clampPoint({
+            left: anchor.left + (dx / distance) * minSeparation,
+            top: anchor.top + (dy / distance) * minSeparation,
+        }, fab, bounds);
+        adjusted = true;
+    });
+    return adjusted ? current : null;
+}
+
+// A swipe is a short, fast movement; the dominant axis decides the direction. Returns null for drags.
+export function getSwipeDirection(deltaX: number, deltaY: number, duration: number): SwipeGesture | null {
+    if (duration > SWIPE_MAX_DURATION) return null;
+    if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < SWIPE_MIN_DISTANCE) return null;
+    if (Math.abs(deltaY) > Math.abs(deltaX)) return deltaY < 0 ? 'swipeUp' : 'swipeDown';
+    return deltaX < 0 ? 'swipeLeft' : 'swipeRight';
+}
+
+// Top-left positions of the quick-action menu items around the FAB center, kept inside the viewport
+export function layoutMenuItems(count: number, center: { x: number; y: number }, fabSize: number, itemSize: number,
+    layout: 'radial' | 'stack', viewport: Size): { x: number; y: number }[] {
+    const gap = itemSize * 0.25;
+    const centers: { x: number; y: number }[] = [];
+
+    if (layout === 'stack') {
+        // Stack towards the side of the screen with more room
+        const direction = center.y > viewport.height / 2 ? -1 : 1;
+        const firstOffset = fabSize / 2 + gap + itemSize / 2;
+        for (let i = 0; i < count; i++) {
+            centers.push({ x: center.x, y: center.y + direction * (firstOffset + i * (itemSize + gap)) });
+        }
+    } else {
+        // Fan the items out on an arc facing the middle of the screen
+        const facingAngle = Math.atan2(viewport.height / 2 - center.y, viewport.width / 2 - center.x);
+        const arc = count > 1 ? Math.PI * 0.75 : 0;
+        const step = count > 1 ? arc / (count - 1) : 0;
+        // Radius large enough for neighbouring items not to overlap
+        const minRadius = fabSize / 2 + gap + itemSize / 2;
+        const radius = step > 0 ? Math.max(minRadius, (itemSize + gap) / (2 * Math.sin(step / 2))) : minRadius;
+        for (let i = 0; i < count; i++) {
+            const angle = facingAngle - arc / 2 + i * step;
+            centers.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+    }
+
+    return centers.map(item => ({
+        x: Math.max(0, Math.min(item.x - itemSize / 2, viewport.width - itemSize)),
+        y: Math.max(0, Math.min(item.y - itemSize / 2, viewport.height - itemSize)),
+    }));
+}
+
+// --- Settings Schema ---
+// Each validator returns the value to use, or undefined when the saved value is invalid and the default applies.
+// Validators that repair parts of a value themselves list those parts in problems.
+type Validator<T> = (value: unknown, problems?: string[]) => T | undefined;
+
+function isRecord(value: unknown): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const validBoolean: Validator<boolean> = value => typeof value === 'boolean' ? value : undefined;
+const validString: Validator<string> = value => typeof value === 'string' ? value : undefined;
+const validColor: Validator<string> = value => typeof value === 'string' && /^(#[0-9a-f]{6})?$/i.test(value) ? value : undefined;
+const validPercent: Validator<string> = value => typeof value === 'string' && /^-?\d+(\.\d+)?%$/.test(value) ? value : undefined;
+
+function validNumber(min: number, max: number): Validator<number> {
+    return value => typeof value === 'number' && isFinite(value) && value >= min && value <= max ? value : undefined;
+}
+
+function validChoice<T extends string>(choices: T[]): Validator<T> {
+    return value => choices.indexOf(value as T) !== -1 ? value as T : undefined;
+}
+
+// Lists are only used when every item is valid
+function validList<T>(validateItem: Validator<T>): Validator<T[]> {
+    return value => {
+        if (!Array.isArray(value)) return undefined;
+        const items = value.map(item => validateItem(item));
+        return items.every(item => item !== undefined) ? items as T[] : undefined;
+    };
+}
+
+const validAnchor: Validator<Anchor> = value => {
+    if (!isRecord(value)) return undefined;
+    const name = validString(value.name), top = validPercent(value.top), left = validPercent(value.left);
+    return name !== undefined && top !== undefined && left !== undefined ? { name, top, left } : undefined;
+};
+
+// Repairs the anchors of one orientation: invalid anchors are left out and the active index is clamped into range.
+// Only an orientation without any valid anchor gets the default anchors.
+function validOrientation(anchorsValue: unknown, indexValue: unknown, defaultAnchors: Anchor[], defaultIndex: number,
+    name: string, problems?: string[]): { anchors: Anchor[]; activeIndex: number } {
+    const items = Array.isArray(anchorsValue) ? anchorsValue : [];
+    const anchors = items.map(item => validAnchor(item)).filter((anchor): anchor is Anchor => anchor !== undefined);
+    if (anchors.length === 0) {
+        problems?.push(`anchors${name}`);
+        return { anchors: defaultAnchors.map(anchor => ({ ...anchor })), activeIndex: defaultIndex };
+    }
+    if (anchors.length < items.length) problems?.push(`anchors${name}`);
+    const index = typeof indexValue === 'number' && isFinite(indexValue) ? Math.floor(indexValue) : defaultIndex;
+    const activeIndex = Math.max(0, Math.min(index, anchors.length - 1));
+    if (activeIndex !== indexValue) problems?.push(`activeIndex${name}`);
+    return { anchors, activeIndex };
+}
+
+// Orientations are repaired separately, so a bad value does not cost the valid anchors; repaired parts are listed in problems
+const validDeviceLayout: Validator<DeviceLayout> = (value, problems) => {
+    if (!isRecord(value)) return undefined;
+    const portrait = validOrientation(value.anchorsPortrait, value.activeIndexPortrait,
+        DEFAULT_LAYOUT.anchorsPortrait, DEFAULT_LAYOUT.activeIndexPortrait, 'Portrait', problems);
+    const landscape = validOrientation(value.anchorsLandscape, value.activeIndexLandscape,
+        DEFAULT_LAYOUT.anchorsLandscape, DEFAULT_LAYOUT.activeIndexLandscape, 'Landscape', problems);
+    return {
+        anchorsPortrait: portrait.anchors,
+        activeIndexPortrait: portrait.activeIndex,
+        anchorsLandscape: landscape.anchors,
+        activeIndexLandscape: landscape.activeIndex,
+    };
+};
+
+const validGestureMapping: Validator<GestureMapping> = value => {
+    if (!isRecord(value)) return undefined;
+    const action = validChoice(Object.keys(FAB_ACTION_LABELS) as FabAction[])(value.action);
+    const commandId = validString(value.commandId);
+    if (action === undefined || commandId === undefined) return undefined;
+    const customActionId = validString(value.customActionId);
+    return customActionId === undefined ? { action, commandId } : { action, commandId, customActionId };
+};
+
+const validPin: Validator<Pin> = value => {
+    if (!isRecord(value)) return undefined;
+    const leafId = value.leafId === null ? null : validString(value.leafId);
+    const filePath = value.filePath === null ? null : validString(value.filePath);
+    if (leafId === undefined || filePath === undefined || (leafId === null && filePath === null)) return undefined;
+    return { leafId, filePath };
+};
+
+// Saved history is stored next to the settings; like pins, entries refer to a leaf id, a file or both
+const validSavedHistoryEntry: Validator<SavedHistoryEntry> = value => {
+    if (!isRecord(value)) return undefined;
+    const pin = validPin(value);
+    const eState = value.eState === null || value.eState === undefined ? null : isRecord(value.eState) ? value.eState : undefined;
+    const line = value.line === null || value.line === undefined ? null : validNumber(0, Infinity)(value.line);
+    if (!pin || eState === undefined || line === undefined) return undefined;
+    return { ...pin, eState, line };
+};
+
+const validMenuItem: Validator<MenuItem> = value => {
+    if (!isRecord(value)) return undefined;
+    const icon = validString(value.icon), commandId = validString(value.commandId);
+    return icon !== undefined && commandId !== undefined ? { icon, commandId } : undefined;
+};
+
+// One validator per setting; numeric ranges match the sliders of the settings tab
+const SETTINGS_SCHEMA: { [K in keyof RecentTabsPluginSettings]: Validator<RecentTabsPluginSettings[K]> } = {
+    // Profiles are repaired on their own (and dropped if not even an object), so the layouts of the other devices survive
+    layouts: (value, problems) => {
+        if (!isRecord(value)) return undefined;
+        const layouts: Record<string, DeviceLayout> = {};
+        for (const profileId in value) {
+            const layoutProblems: string[] = [];
+            const layout = validDeviceLayout(value[profileId], layoutProblems);
+            if (layout) layouts[profileId] = layout;
+            else problems?.push(`layouts.${profileId}`);
+            layoutProblems.forEach(part => problems?.push(`layouts.${profileId}.${part}`));
+        }
+        return layouts;
+    },
+    fabSize: validNumber(30, 100),
+    fabOpacity: validNumber(0.1, 1),
+    showFab: validBoolean,
+    fabIcon: value => typeof value === 'string' && value.length > 0 ? value : undefined,
+    fabShape: validChoice<FabShape>(['circle', 'rounded', 'pill']),
+    fabBackgroundColor: validColor,
+    fabForegroundColor: validColor,
+    fabAccentColor: validColor,
+    targetBadge: validChoice<'off' | 'name' | 'initials' | 'icon'>(['off', 'name', 'initials', 'icon']),
+    peekOnHold: validBoolean,
+    historyDepth: validNumber(2, 50),
+    historyMode: validChoice<'leaf' | 'location'>(['leaf', 'location']),
+    historyScope: validChoice<HistoryScope>(['global', 'window', 'split', 'tabGroup']),
+    closedTabs: validChoice<'reopen' | 'skip'>(['reopen', 'skip']),
+    pins: validList(validPin),
+    viewTypeFilterMode: validChoice<'allow' | 'deny'>(['allow', 'deny']),
+    viewTypeList: validList(validString),
+    // Gestures missing from older data keep their defaults
+    gestureActions: value => {
+        if (!isRecord(value)) return undefined;
+        const gestureActions = { ...DEFAULT_SETTINGS.gestureActions };
+        for (const gesture of Object.keys(GESTURE_LABELS) as FabGesture[]) {
+            if (!(gesture in value)) continue;
+            const mapping = validGestureMapping(value[gesture]);
+            if (!mapping) return undefined;
+            gestureActions[gesture] = mapping;
+        }
+        return gestureActions;
+    },
+    longPressDuration: validNumber(300, 2000),
+    dragThreshold: validNumber(2, 30),
+    respectSafeArea: validBoolean,
+    snapToEdge: validBoolean,
+    snapDistance: validNumber(4, 80),
+    avoidObsidianUI: validBoolean,
+    autoHideMode: validChoice<'off' | 'fade' | 'slide'>(['off', 'fade', 'slide']),
+    hideWhileTyping: validBoolean,
+    hideWhileScrolling: validBoolean,
+    hideWhileKeyboardOpen: validBoolean,
+    autoHideIdleDelay: validNumber(500, 5000),
+    showOnPhone: validBoolean,
+    showOnTablet: validBoolean,
+    showOnDesktop: validBoolean,
+    hiddenViewTypes: validList(validString),
+    hiddenFolders: validList(validString),
+    hiddenTags: validList(validString),
+    hideWithoutHistory: validBoolean,
+    statusBarToggle: validBoolean,
+    menuLayout: validChoice<'radial' | 'stack'>(['radial', 'stack']),
+    menuItems: validList(validMenuItem),
+};
+
+// Builds complete settings from saved data: missing settings get their defaults, invalid ones too and are listed in problems
+function validateSettings(data: Record<string, unknown>, problems: string[]): RecentTabsPluginSettings {
+    const settings: Record<string, unknown> = {};
+    for (const key of Object.keys(SETTINGS_SCHEMA) as (keyof RecentTabsPluginSettings)[]) {
+        const value = key in data ? SETTINGS_SCHEMA[key](data[key], problems) : undefined;
+        if (key in data && value === undefined) problems.push(key);
+        // Validators return fresh objects and lists, so the defaults have to be copied too
+        settings[key] = value !== undefined ? value : SETTINGS_SCHEMA[key](DEFAULT_SETTINGS[key]);
+    }
+    return settings as unknown as RecentTabsPluginSettings;
+}
+
+// Migrations of the saved data, the one at index i lifts version i to i + 1.
+// Layouts migrated from before device profiles are assigned to the device that loads them first.
+const SETTINGS_MIGRATIONS: ((data: Record<string, any>, profileId: string) => void)[] = [
+    // 0 -> 1: one left/right pair for all orientations became a pair per orientation
+    (data) => {
+        if (!data.fabPositionLeft || data.posPortraitLeft) return;
+        data.posPortraitLeft = { ...data.fabPositionLeft };
+        data.posPortraitRight = { ...data.fabPositionRight };
+        data.activeIndexPortrait = data.activePositionIndex ?? 1;
+        // Landscape keeps the defaults
+    },
+    // 1 -> 2: fixed left/right pairs became named anchors per device profile
+    (data, profileId) => {
+        if (data.posPortraitLeft) {
+            const layout = cloneLayout(DEFAULT_LAYOUT);
+            layout.anchorsPortrait = [
+                { name: 'Left', ...data.posPortraitLeft },
+                { name: 'Right', ...data.posPortraitRight },
+            ];
+            layout.activeIndexPortrait = data.activeIndexPortrait ?? DEFAULT_LAYOUT.activeIndexPortrait;
+            if (data.posLandscapeLeft) {
+                layout.anchorsLandscape = [
+                    { name: 'Left', ...data.posLandscapeLeft },
+                    { name: 'Right', ...data.posLandscapeRight },
+                ];
+                layout.activeIndexLandscape = data.activeIndexLandscape ?? DEFAULT_LAYOUT.activeIndexLandscape;
+            }
+            data.layouts = { ...data.layouts, [profileId]: layout };
+        }
+        for (const key of ['fabPositionLeft', 'fabPositionRight', 'activePositionIndex',
+            'posPortraitLeft', 'posPortraitRight', 'activeIndexPortrait',
+            'posLandscapeLeft', 'posLandscapeRight', 'activeIndexLandscape']) {
+            delete data[key];
+        }
+    },
+];
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.length;
+
+// Version of saved data; data from before versioning is recognized by its position keys
+function getSettingsVersion(data: Record<string, any>): number {
+    if (typeof data.settingsVersion === 'number') return data.settingsVersion;
+    if (data.fabPositionLeft) return 0;
+    if (data.posPortraitLeft) return 1;
+    return SETTINGS_VERSION;
+}
+
+// Runs the migrations from the data's version on, in place; returns whether any ran
+function migrateSettings(data: Record<string, any>, profileId: string): boolean {
+    const version = getSettingsVersion(data);
+    for (let i = version; i < SETTINGS_VERSION; i++) SETTINGS_MIGRATIONS[i](data, profileId);
+    delete data.settingsVersion;
+    return version < SETTINGS_VERSION;
 }
 
 // --- Plugin Class ---
 export default class RecentTabsPlugin extends Plugin {
     settings!: RecentTabsPluginSettings;
-    recentLeaves: WorkspaceLeaf[] = [];
-    fabElement: HTMLElement | null = null;
+    tabHistory: HistoryEntry[] = [];
+    historyCursor: HistoryEntry | null = null; // Entry reached via back/forward (null = at the newest entry)
+    pendingSavedHistory: SavedHistoryEntry[] | null = null; // Loaded history waiting for the workspace layout
+    newerSavedData: Record<string, unknown> | null = null; // Settings saved by a newer plugin version, written back unchanged
+    requestHistorySave = debounce(() => this.saveSettings(), 1000, true);
+    customActions = new Map<string, FabCustomAction>(); // Registered by other plugins through the API
+    api: RecentTabSwitcherApi = this.createApi();
+    // Cursor moves inside a note are recorded once they settle (location-level history)
+    requestLocationUpdate = debounce(() => {
+        const activeLeaf = this.app.workspace.getActiveViewOfType(MarkdownView)?.leaf;
+        if (activeLeaf) this.updateRecentLeaves(activeLeaf);
+        this.updateTargetPreview();
+    }, 500, true);
+    fabElements: HTMLElement[] = []; // One FAB per window, the main window's first
+    fabElement: HTMLElement | null = null; // FAB in use: the one last pressed, the main window's initially
+    fabComponents = new Map<HTMLElement, Component>(); // Own the listeners of each FAB and its window
+    menuElement: HTMLElement | null = null; // Quick-action menu, present only while open
+    peekElement: HTMLElement | null = null; // Recent tab preview, present only while the FAB is held
+    peekComponent: Component | null = null; // Owns the rendered Markdown of the preview
+    peekTimer: number | null = null;
+    safeAreaInsets = new WeakMap<Window, Bounds>(); // Cached per window, cleared on resize
+    statusBarItem: HTMLElement | null = null; // Show/hide toggle, desktop only; created once, then only shown or hidden
+
+    // Auto-hide state
+    autoHideTimer: number | null = null;
+    hiddenByActivity: boolean = false; // Typing or scrolling, until the idle delay has passed
+    isKeyboardOpen: boolean = false;
 
     // Interaction state variables
     isDragging: boolean = false;
     longPressTimer: number | null = null;
+    tapTimer: number | null = null; // Pending single tap, waiting to see if a second tap follows
+    dragUnlocked: boolean = false; // Set by the long press when it is mapped to drag mode
     pointerDownHandled: boolean = false;
+    pointerDownTime: number = 0;
 
     // Position tracking
     dragStartX: number = 0;
@@ -57,155 +687,710 @@ export default class RecentTabsPlugin extends Plugin {
         this.registerEvent(
             this.app.workspace.on('active-leaf-change', (leaf) => {
                 if (leaf) this.updateRecentLeaves(leaf);
+                this.updateTargetPreview(); // The target also depends on the active leaf
+                this.updateVisibility();
             })
         );
 
-        this.createFAB();
+        this.registerCommands();
+        this.createFAB(window);
+        this.updateStatusBarToggle();
+
+        // Every popout window gets its own FAB
+        this.registerEvent(this.app.workspace.on('window-open', (_workspaceWindow, win) => this.createFAB(win)));
+        this.registerEvent(this.app.workspace.on('window-close', (_workspaceWindow, win) => this.removeFAB(win)));
+
+        this.app.workspace.onLayoutReady(() => {
+            // Popouts restored with the layout may have opened before the plugin loaded
+            this.app.workspace.iterateAllLeaves(leaf => {
+                const win = leaf.getContainer().win;
+                if (!this.getFab(win)) this.createFAB(win);
+            });
+            this.restoreHistory();
+            const initDelay = Platform.isMobile ? 500 : 0;
+            setTimeout(() => {
+                const activeLeaf = this.app.workspace.getActiveViewOfType(View)?.leaf;
+                if (activeLeaf) this.updateRecentLeaves(activeLeaf);
+            }, initDelay);
+        });
 
-        const initDelay = Platform.isMobile ? 500 : 0;
-        setTimeout(() => {
-            const activeLeaf = this.app.workspace.getActiveViewOfType(MarkdownView)?.leaf;
-            if (activeLeaf) this.updateRecentLeaves(activeLeaf);
-        }, initDelay);
+        // Mobile OSes kill backgrounded apps without unloading plugins, so save scroll/cursor state when hidden
+        this.registerDomEvent(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSettings();
+        });
 
-        // Use resize observer for more reliable orientation change detection
-        this.registerDomEvent(window, 'resize', this.handleResize.bind(this));
+        // The visual viewport also shrinks when the on-screen keyboard opens
+        const viewport = window.visualViewport;
+        if (viewport) {
+            const onViewportResize = this.handleResize.bind(this);
+            viewport.addEventListener('resize', onViewportResize);
+            this.register(() => viewport.removeEventListener('resize', onViewportResize));
+        }
+        // View headers and toolbars move with the layout, tabs may have been closed, and moved tabs may change history scope
+        this.registerEvent(this.app.workspace.on('layout-change', () => {
+            this.applyPosition();
+            this.repairHistory();
+            this.repairPins();
+            this.updateTargetPreview();
+            this.updateVisibility();
+        }));
+        // Tag rules follow edits of the active file
+        this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+            if (this.settings.hiddenTags.length > 0 && file === this.app.workspace.getActiveFile()) this.updateVisibility();
+        }));
+        // Closed tabs are reopened from their path, so follow renames and forget deleted files
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.onFileRenamed(file.path, oldPath)));
+        this.registerEvent(this.app.vault.on('delete', () => {
+            this.repairHistory();
+            this.repairPins();
+        }));
+        this.registerEvent(this.app.workspace.on('file-menu', (menu, file) => {
+            if (!(file instanceof TFile)) return;
+            const pinned = this.settings.pins.some(pin => pin.leafId === null && pin.filePath === file.path);
+            menu.addItem(item => item
+                .setTitle(pinned ? 'Unpin from tab switcher' : 'Pin in tab switcher')
+                .setIcon(pinned ? 'pin-off' : 'pin')
+                .onClick(() => this.togglePinnedFile(file.path)));
+        }));
         // Initial check in case orientation is already landscape
         this.handleResize();
     }
 
+    // Listeners needed in every window that shows a FAB, removed with its FAB when the window closes
+    registerWindowEvents(win: Window, component: Component) {
+        // Use resize observer for more reliable orientation change detection
+        component.registerDomEvent(win, 'resize', this.handleResize.bind(this));
+        // Editor activity for auto-hide (scroll events do not bubble, so listen while capturing)
+        component.registerDomEvent(win.document, 'input', (event) => this.onEditorActivity(event, 'typing'), { capture: true });
+        component.registerDomEvent(win.document, 'scroll', (event) => this.onEditorActivity(event, 'scrolling'), { capture: true });
+        component.registerDomEvent(win.document, 'selectionchange', () => {
+            if (this.settings.historyMode === 'location') this.requestLocationUpdate();
+        });
+    }
+
     onunload() {
         if (this.longPressTimer) clearTimeout(this.longPressTimer);
+        if (this.tapTimer) clearTimeout(this.tapTimer);
+        if (this.autoHideTimer) clearTimeout(this.autoHideTimer);
         this.removeGlobalListeners();
-        this.fabElement?.remove();
+        this.closeFabMenu();
+        this.fabElements.forEach(fab => fab.remove());
+        this.fabElements = [];
+        this.fabComponents.clear(); // Unloaded with the plugin
         this.fabElement = null;
-        this.recentLeaves = [];
+        // Save the history one last time before dropping the live leaves
+        this.requestHistorySave.cancel();
+        this.requestLocationUpdate.cancel();
+        this.hidePeek();
+        this.saveSettings();
+        this.tabHistory = [];
+        this.historyCursor = null;
     }
 
     // --- Settings Management ---
     async loadSettings() {
-        // Load settings, merging with new orientation-specific defaults
-        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
-        // Basic migration check from previous dual-position structure
-        if ((this.settings as any).fabPositionLeft && !this.settings.posPortraitLeft) {
-             this.settings.posPortraitLeft = { ...(this.settings as any).fabPositionLeft };
-             this.settings.posPortraitRight = { ...(this.settings as any).fabPositionRight };
-             this.settings.activeIndexPortrait = (this.settings as any).activePositionIndex ?? 1;
-             // Set landscape defaults or copy portrait? Let's use defaults for simplicity.
-             this.settings.posLandscapeLeft = { ...DEFAULT_SETTINGS.posLandscapeLeft };
-             this.settings.posLandscapeRight = { ...DEFAULT_SETTINGS.posLandscapeRight };
-             this.settings.activeIndexLandscape = DEFAULT_SETTINGS.activeIndexLandscape;
-             // Delete old keys
-             delete (this.settings as any).fabPositionLeft;
-             delete (this.settings as any).fabPositionRight;
-             delete (this.settings as any).activePositionIndex;
-             await this.saveSettings();
-         }
+        // The tab history is stored next to the settings but kept out of the settings object
+        const { tabHistory, ...savedSettings } = (await this.loadData()) ?? {};
+        // Invalid entries are dropped, the rest of the history is kept
+        this.pendingSavedHistory = Array.isArray(tabHistory)
+            ? tabHistory.map(entry => validSavedHistoryEntry(entry)).filter((entry): entry is SavedHistoryEntry => entry !== undefined)
+            : [];
+        // Data synced from a newer version is kept as saved, so saving here does not wipe it on the other devices.
+        // This version still runs with the settings it understands.
+        const isNewer = getSettingsVersion(savedSettings) > SETTINGS_VERSION;
+        this.newerSavedData = isNewer ? JSON.parse(JSON.stringify(savedSettings)) : null;
+        const migrated = migrateSettings(savedSettings, this.getDeviceProfileId());
+        // Invalid values (e.g. from a corrupted data.json) fall back to their defaults instead of breaking the FAB
+        const problems: string[] = [];
+        this.settings = validateSettings(savedSettings, problems);
+        if (isNewer) {
+            new Notice('Recent Tab Switcher: the settings come from a newer version of the plugin. Update it to use all of them; until then, changes to the settings are not saved.');
+            return; // Nothing was migrated, and the newer version has its own idea of what is valid
+        }
+        if (problems.length > 0) new Notice(`Recent Tab Switcher: invalid settings were reset to their defaults (${problems.join(', ')}).`);
+        if (migrated || problems.length > 0) await this.saveSettings();
     }
 
     async saveSettings() {
-        await this.saveData(this.settings);
+        // Settings from a newer version only get the current history
+        const settings = this.newerSavedData ?? { settingsVersion: SETTINGS_VERSION, ...this.settings };
+        await this.saveData({ ...settings, tabHistory: this.serializeHistory() });
     }
 
-    // --- FAB Creation and Styling ---
-    createFAB() {
-        this.fabElement = document.createElement('button');
-        this.fabElement.id = 'recent-tab-fab';
-        this.fabElement.setAttribute('aria-label', 'Jump to recent tab (Long press 1s to switch side)');
-        this.fabElement.addClasses(['view-action', 'clickable-icon']);
-        setIcon(this.fabElement, 'arrow-left-right');
+    // --- Commands (usable from hotkeys, the command palette and the mobile toolbar) ---
+    registerCommands() {
+        this.addCommand({
+            id: 'jump-to-recent-tab',
+            name: 'Jump to recent tab',
+            callback: () => this.jumpToRecentTab(),
+        });
+        this.addCommand({
+            id: 'go-back-in-tab-history',
+            name: 'Go back in tab history',
+            callback: () => this.goBackInHistory(),
+        });
+        this.addCommand({
+            id: 'go-forward-in-tab-history',
+            name: 'Go forward in tab history',
+            callback: () => this.goForwardInHistory(),
+        });
+        this.addCommand({
+            id: 'jump-to-pinned-tab',
+            name: 'Jump to pinned tab',
+            callback: () => this.jumpToPinned(),
+        });
+        this.addCommand({
+            id: 'toggle-pin-current-tab',
+            name: 'Pin/unpin current tab',
+            callback: () => {
+                const leaf = this.getActiveTrackedLeaf();
+                if (leaf) this.togglePinnedLeaf(leaf);
+                else new Notice('The current view cannot be pinned.');
+            },
+        });
+        this.addCommand({
+            id: 'toggle-pin-current-file',
+            name: 'Pin/unpin current file',
+            callback: () => {
+                const file = this.app.workspace.getActiveFile();
+                if (file) this.togglePinnedFile(file.path);
+                else new Notice('No file is open.');
+            },
+        });
+        this.addCommand({
+            id: 'open-tab-history-picker',
+            name: 'Open tab history picker',
+            callback: () => this.openHistoryPicker(),
+        });
+        this.addCommand({
+            id: 'open-fab-menu',
+            name: 'Open quick-action menu',
+            callback: () => {
+                this.selectFab(activeWindow);
+                this.openFabMenu();
+            },
+        });
+        this.addCommand({
+            id: 'toggle-fab-side',
+            name: 'Cycle FAB position',
+            callback: () => {
+                this.selectFab(activeWindow);
+                this.cycleFabPosition();
+            },
+        });
+        this.addCommand({
+            id: 'toggle-fab-visibility',
+            name: 'Show/hide FAB',
+            callback: () => this.setFabVisible(!this.settings.showFab),
+        });
+        this.addCommand({
+            id: 'reset-fab-position',
+            name: 'Reset FAB position',
+            callback: () => this.resetPositions(),
+        });
+    }
 
-        this.applyFabStyles(); // Apply appearance styles first
-        this.applyPosition(); // Apply initial position based on current orientation/index
+    // --- FAB Creation and Styling ---
+    createFAB(win: Window) {
+        if (this.getFab(win)) return;
+        const fab = win.document.createElement('button');
+        fab.id = 'recent-tab-fab';
+        fab.addClasses(['view-action', 'clickable-icon']);
+        fab.createSpan({ cls: 'recent-tab-fab-icon' }); // Set by applyFabStyles
+        fab.createSpan({ cls: 'recent-tab-fab-badge' }); // Recent tab name/initials/icon
+        this.fabElements.push(fab);
+        if (!this.fabElement) this.fabElement = fab;
 
         // --- Event Listeners ---
-        this.registerDomEvent(this.fabElement, 'mousedown', this.onPointerDown.bind(this));
-        this.registerDomEvent(this.fabElement, 'touchstart', this.onPointerDown.bind(this), { passive: false });
+        const component = this.addChild(new Component());
+        this.fabComponents.set(fab, component);
+        component.registerDomEvent(fab, 'mousedown', (event) => this.onPointerDown(event, fab));
+        component.registerDomEvent(fab, 'touchstart', (event) => this.onPointerDown(event, fab), { passive: false });
 
         // Click listener (Fallback ONLY - less important now)
-        this.registerDomEvent(this.fabElement, 'click', (event) => {
+        component.registerDomEvent(fab, 'click', (event) => {
             if (this.isDragging) return; // Ignore clicks after dragging
         });
+        this.registerWindowEvents(win, component);
+
+        win.document.body.appendChild(fab);
+        this.updateTargetPreview();
+        this.updateVisibility();
+        this.applyFabStyles(); // Apply appearance styles first
+        this.applyPosition(); // Apply initial position based on current orientation/index
+        this.updateAutoHide();
+    }
+
+    // Popout windows take their FAB with them when they close
+    removeFAB(win: Window) {
+        const fab = this.getFab(win);
+        if (!fab) return;
+        if (this.menuElement?.win === win) this.closeFabMenu();
+        if (this.peekElement?.win === win) this.hidePeek();
+        fab.remove();
+        this.fabElements.remove(fab);
+        const component = this.fabComponents.get(fab);
+        if (component) this.removeChild(component);
+        this.fabComponents.delete(fab);
+        if (this.fabElement === fab) this.fabElement = this.fabElements[0] ?? null;
+    }
+
+    getFab(win: Window): HTMLElement | null {
+        return this.fabElements.find(fab => fab.win === win) ?? null;
+    }
+
+    // Commands act on the FAB of the focused window
+    selectFab(win: Window) {
+        this.fabElement = this.getFab(win) ?? this.fabElement;
+    }
+
+    // Describe the configured gestures, e.g. "Tap: Jump to recent tab, Long press: Cycle FAB position"
+    updateFabLabel() {
+        const descriptions = (Object.keys(GESTURE_LABELS) as FabGesture[])
+            .filter(gesture => this.settings.gestureActions[gesture].action !== 'none')
+            .map(gesture => `${GESTURE_LABELS[gesture]}: ${this.getActionLabel(this.settings.gestureActions[gesture])}`);
+        this.fabElements.forEach(fab => {
+            // Name the recent tab first, so the tooltip tells where a jump lands
+            const target = this.getRecentTabTarget(fab.win);
+            const targetDescription = target ? `Recent tab: ${this.getEntryTitle(target)}\n` : '';
+            fab.setAttribute('aria-label', targetDescription + descriptions.join(', '));
+        });
+    }
 
-        document.body.appendChild(this.fabElement);
+    // --- Recent Tab Preview (badge, tooltip and peek) ---
+    updateTargetPreview() {
+        this.updateFabLabel();
+        this.fabElements.forEach(fab => {
+            const badge = fab.find('.recent-tab-fab-badge');
+            if (!badge) return;
+
+            // Each window has its own recent tab when the history is scoped
+            const target = this.getRecentTabTarget(fab.win);
+            fab.toggleClass('is-empty', !target);
+            const mode = this.settings.targetBadge;
+            badge.empty();
+            badge.toggleClass('is-hidden', mode === 'off' || !target);
+            badge.toggleClass('mod-icon', mode === 'icon');
+            if (!target || mode === 'off') return;
+
+            const title = this.getEntryTitle(target);
+            if (mode === 'name') {
+                badge.setText(title);
+            } else if (mode === 'initials') {
+                // First letters of the first two words, e.g. "Project Dashboard" -> "PD"
+                const initials = title.split(/[\s\-_]+/).filter(word => word.length > 0).slice(0, 2).map(word => word[0].toUpperCase());
+                badge.setText(initials.join(''));
+            } else {
+                setIcon(badge, target.leaf?.getIcon() ?? 'file');
+            }
+        });
     }
 
-    applyFabStyles() {
+    showPeek() {
+        this.hidePeek();
         if (!this.fabElement) return;
-        // Set CSS variables for size and opacity
-        this.fabElement.style.setProperty('--fab-actual-size', `${this.settings.fabSize}px`);
-        this.fabElement.style.setProperty('--fab-actual-opacity', `${this.settings.fabOpacity}`);
+        const win = this.fabElement.win;
+        const target = this.getRecentTabTarget(win);
+        if (!target) return;
+
+        const peek = this.peekElement = win.document.body.createDiv({ cls: 'recent-tab-fab-peek' });
+        peek.createDiv({ cls: 'recent-tab-fab-peek-title', text: this.getEntryTitle(target) });
+        const content = peek.createDiv({ cls: 'recent-tab-fab-peek-content' });
+
+        // Loaded leaves are snapshotted as they look; others fall back to rendering the note
+        const liveContent = target.leaf && !target.leaf.isDeferred
+            ? target.leaf.view.containerEl.querySelector<HTMLElement>('.view-content')
+            : null;
+        const file = target.filePath ? this.app.vault.getAbstractFileByPath(target.filePath) : null;
+        if (liveContent) {
+            const snapshot = content.createDiv({ cls: 'recent-tab-fab-peek-snapshot' });
+            snapshot.appendChild(liveContent.cloneNode(true));
+            // Clones lose their scroll offsets, copy them from the originals
+            const scrollers = '.cm-scroller, .markdown-preview-view';
+            const originals = liveContent.querySelectorAll<HTMLElement>(scrollers);
+            snapshot.querySelectorAll<HTMLElement>(scrollers).forEach((clone, i) => {
+                clone.scrollTop = originals[i]?.scrollTop ?? 0;
+            });
+        } else if (file instanceof TFile && file.extension === 'md') {
+            this.peekComponent = new Component();
+            this.peekComponent.load();
+            const component = this.peekComponent;
+            this.app.vault.cachedRead(file).then(text => {
+                if (this.peekComponent !== component) return; // Peek was closed meanwhile
+                return MarkdownRenderer.render(this.app, text.slice(0, 2000), content.createDiv({ cls: 'markdown-rendered' }), file.path, component);
+            }).catch(error => {
+                console.error("Error rendering peek:", error);
+                if (this.peekComponent !== component) return;
+                content.empty();
+                content.createDiv({ cls: 'recent-tab-fab-peek-empty', text: 'No preview available.' });
+            });
+        } else {
+            content.createDiv({ cls: 'recent-tab-fab-peek-empty', text: 'No preview available.' });
+        }
+
+        // Above the FAB when there is room, below otherwise, kept inside the viewport horizontally
+        const fabRect = this.fabElement.getBoundingClientRect();
+        const peekRect = peek.getBoundingClientRect();
+        const margin = 8;
+        const left = Math.max(margin, Math.min(fabRect.left + fabRect.width / 2 - peekRect.width / 2, win.innerWidth - peekRect.width - margin));
+        const top = fabRect.top - peekRect.height - margin >= margin ? fabRect.top - peekRect.height - margin : fabRect.bottom + margin;
+        peek.style.setProperty('--fab-peek-left', `${left}px`);
+        peek.style.setProperty('--fab-peek-top', `${top}px`);
+    }
+
+    hidePeek() {
+        if (this.peekTimer) {
+            clearTimeout(this.peekTimer);
+            this.peekTimer = null;
+        }
+        this.peekComponent?.unload();
+        this.peekComponent = null;
+        this.peekElement?.remove();
+        this.peekElement = null;
+    }
+
+    applyFabStyles() {
+        const { fabBackgroundColor, fabForegroundColor, fabAccentColor } = this.settings;
+        // Colors left empty keep the theme-aware defaults from styles.css; hover and press colors are derived there
+        const colors: Record<string, string> = {
+            '--fab-background': fabBackgroundColor,
+            '--fab-foreground': fabForegroundColor,
+            '--fab-accent': fabAccentColor,
+        };
+        this.fabElements.forEach(fab => {
+            // Set CSS variables for size and opacity
+            fab.style.setProperty('--fab-actual-size', `${this.settings.fabSize}px`);
+            fab.style.setProperty('--fab-actual-opacity', `${this.settings.fabOpacity}`);
+            fab.style.setProperty('--fab-long-press-duration', `${this.settings.longPressDuration}ms`);
+            for (const property in colors) {
+                if (colors[property]) fab.style.setProperty(property, colors[property]);
+                else fab.style.removeProperty(property);
+            }
+            fab.toggleClass('mod-custom-background', !!fabBackgroundColor);
+            fab.toggleClass('mod-custom-foreground', !!fabForegroundColor);
+            fab.toggleClass('mod-shape-circle', this.settings.fabShape === 'circle');
+            fab.toggleClass('mod-shape-pill', this.settings.fabShape === 'pill');
+            setIcon(fab.find('.recent-tab-fab-icon'), this.settings.fabIcon);
+        });
+        if (this.statusBarItem) setIcon(this.statusBarItem, this.settings.fabIcon);
+    }
+
+    // The pill shape is wider than high, the other shapes are square
+    getFabWidth(): number {
+        return this.settings.fabShape === 'pill' ? this.settings.fabSize * PILL_WIDTH_RATIO : this.settings.fabSize;
+    }
+
+    setFabVisible(visible: boolean) {
+        this.settings.showFab = visible;
+        this.updateVisibility();
+        this.saveSettings();
+    }
+
+    // --- Visibility Rules ---
+    // Shows each window's FAB unless it is switched off or a visibility rule hides it there
+    updateVisibility() {
+        this.fabElements.forEach(fab => fab.toggleClass('is-hidden', !this.settings.showFab || this.isHiddenByRule(fab.win)));
+        if (this.statusBarItem) {
+            this.statusBarItem.toggleClass('is-off', !this.settings.showFab);
+            this.statusBarItem.setAttribute('aria-label', this.settings.showFab ? 'Hide floating button' : 'Show floating button');
+        }
+    }
+
+    isHiddenByRule(win: Window): boolean {
+        const { settings } = this;
+        const platformShown = Platform.isPhone ? settings.showOnPhone : Platform.isTablet ? settings.showOnTablet : settings.showOnDesktop;
+        if (!platformShown) return true;
+        if (settings.hideWithoutHistory && this.getWindowHistory(win).length < 2) return true;
+
+        const leaf = this.getWindowActiveLeaf(win);
+        if (!leaf) return false;
+        if (settings.hiddenViewTypes.indexOf(this.getLeafViewType(leaf)) !== -1) return true;
+        const filePath = this.getLeafFilePath(leaf);
+        if (!filePath) return false;
+        if (settings.hiddenFolders.some(folder => filePath.startsWith(folder + '/'))) return true;
+        if (settings.hiddenTags.length > 0) {
+            const file = this.app.vault.getAbstractFileByPath(filePath);
+            const cache = file instanceof TFile ? this.app.metadataCache.getFileCache(file) : null;
+            // Tags come with '#' and in any case; a rule for "project" also matches "project/alpha"
+            const tags = (cache ? getAllTags(cache) ?? [] : []).map(tag => tag.slice(1).toLowerCase());
+            const hiddenTags = settings.hiddenTags.map(tag => tag.toLowerCase());
+            if (tags.some(tag => hiddenTags.some(hidden => tag === hidden || tag.startsWith(hidden + '/')))) return true;
+        }
+        return false;
+    }
+
+    // Rules look at the focused leaf of a window, whatever its view type; unfocused windows at their most recent tab
+    getWindowActiveLeaf(win: Window): WorkspaceLeaf | null {
+        const activeLeaf = this.app.workspace.getActiveViewOfType(View)?.leaf;
+        if (activeLeaf && activeLeaf.getContainer()?.win === win) return activeLeaf;
+        return this.getScopeLeaf(win);
+    }
+
+    // The status bar only exists on desktop
+    updateStatusBarToggle() {
+        const enabled = this.settings.statusBarToggle && !Platform.isMobile;
+        this.statusBarItem?.toggleClass('is-hidden', !enabled);
+        if (!enabled) return;
+        if (!this.statusBarItem) {
+            this.statusBarItem = this.addStatusBarItem();
+            this.statusBarItem.addClasses(['mod-clickable', 'recent-tab-fab-status']);
+            this.registerDomEvent(this.statusBarItem, 'click', () => this.setFabVisible(!this.settings.showFab));
+            setIcon(this.statusBarItem, this.settings.fabIcon);
+        }
+        this.updateVisibility();
+    }
+
+    // Reset this device's positions and active anchors to defaults
+    async resetPositions() {
+        this.settings.layouts[this.getDeviceProfileId()] = cloneLayout(DEFAULT_LAYOUT);
+        await this.saveSettings(); // Save the reset values
+        // Apply the reset position and styles visually
+        this.applyPosition(); // Apply new position (will use defaults)
+        this.applyFabStyles(); // Ensure styles are correct
+        new Notice('All FAB positions reset to defaults.');
+    }
+
+    // --- Settings Export/Import ---
+    // Pins refer to tabs and files of this vault, so they stay out of shared settings
+    exportSettings(): string {
+        const { pins, ...settings } = this.settings;
+        return JSON.stringify({ settingsVersion: SETTINGS_VERSION, ...settings }, null, 2);
+    }
+
+    // Applies exported settings on top of the current ones; returns false if nothing could be imported
+    async importSettings(json: string): Promise<boolean> {
+        let data: unknown;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            new Notice('Import failed: this is not valid JSON.');
+            return false;
+        }
+        if (!isRecord(data)) {
+            new Notice('Import failed: the settings have to be a JSON object.');
+            return false;
+        }
+        if (getSettingsVersion(data) > SETTINGS_VERSION) {
+            new Notice('Import failed: the settings come from a newer version of the plugin. Update it first.');
+            return false;
+        }
+        migrateSettings(data, this.getDeviceProfileId());
+        // Settings missing from the import stay as they are, positions of other devices are added to this device's.
+        // Imported profiles that are not even an object are left out, so they do not replace valid ones.
+        const problems: string[] = [];
+        const importedLayouts = 'layouts' in data ? SETTINGS_SCHEMA.layouts(data.layouts, problems) : {};
+        if (!importedLayouts) problems.push('layouts');
+        const previousMode = this.settings.historyMode;
+        this.settings = validateSettings({
+            ...this.settings,
+            ...data,
+            layouts: { ...this.settings.layouts, ...importedLayouts },
+            pins: this.settings.pins,
+        }, problems);
+        this.historyCursor = null;
+        if (this.settings.historyMode !== previousMode) this.resetHistoryLocations();
+        this.trimHistory(); // Depth and scope may have changed
+        this.repairHistory();
+        this.applyFabStyles();
+        this.applyPosition();
+        this.updateAutoHide();
+        this.updateStatusBarToggle();
+        this.updateVisibility();
+        await this.saveSettings();
+        new Notice(problems.length > 0
+            ? `Settings imported. Invalid settings were reset to their defaults (${problems.join(', ')}).`
+            : 'Settings imported.');
+        return true;
     }
 
     // --- Orientation Helper ---
-    isLandscape(): boolean {
-        return window.innerWidth > window.innerHeight;
+    isLandscape(win: Window = window): boolean {
+        return win.innerWidth > win.innerHeight;
+    }
+
+    getOrientation(win: Window = window): Orientation {
+        return this.isLandscape(win) ? 'landscape' : 'portrait';
+    }
+
+    // --- Device Layouts and Anchors ---
+    // Platform plus screen size; the sides are sorted so both orientations share one profile
+    getDeviceProfileId(): string {
+        const platform = Platform.isPhone ? 'phone' : Platform.isTablet ? 'tablet' : 'desktop';
+        const shortSide = Math.min(window.screen.width, window.screen.height);
+        const longSide = Math.max(window.screen.width, window.screen.height);
+        return `${platform}-${shortSide}x${longSide}`;
+    }
+
+    getDeviceLayout(): DeviceLayout {
+        const profileId = this.getDeviceProfileId();
+        if (!this.settings.layouts[profileId]) {
+            this.settings.layouts[profileId] = cloneLayout(DEFAULT_LAYOUT);
+        }
+        return this.settings.layouts[profileId];
+    }
+
+    getAnchors(orientation: Orientation = this.getOrientation()): Anchor[] {
+        const layout = this.getDeviceLayout();
+        return orientation === 'landscape' ? layout.anchorsLandscape : layout.anchorsPortrait;
+    }
+
+    getActiveAnchorIndex(orientation: Orientation = this.getOrientation()): number {
+        const layout = this.getDeviceLayout();
+        const index = orientation === 'landscape' ? layout.activeIndexLandscape : layout.activeIndexPortrait;
+        return Math.max(0, Math.min(index, this.getAnchors(orientation).length - 1));
+    }
+
+    setActiveAnchorIndex(index: number, orientation: Orientation = this.getOrientation()) {
+        const layout = this.getDeviceLayout();
+        if (orientation === 'landscape') {
+            layout.activeIndexLandscape = index;
+        } else {
+            layout.activeIndexPortrait = index;
+        }
     }
 
     // Apply position based on current orientation and ACTIVE index
     applyPosition() {
-        if (!this.fabElement) return;
+        this.fabElements.forEach(fab => this.applyFabPosition(fab));
+    }
+
+    // Positions are percentages, so every window places its FAB at the same relative spot
+    applyFabPosition(fab: HTMLElement) {
+        const win = fab.win;
+        const orientation = this.getOrientation(win);
+        const activePosition = this.getAnchors(orientation)[this.getActiveAnchorIndex(orientation)];
+
+        // Convert the stored percentages to pixels and clamp them within viewport bounds
+        const target = positionToPoint(activePosition, this.getViewportSize(win));
+        const clamped = this.clampToBounds(target.left, target.top, win);
+        // Only the displayed position moves off Obsidian UI elements, the saved one stays as dragged
+        const placed = this.settings.avoidObsidianUI ? this.avoidObstacles(clamped.left, clamped.top, win) : clamped;
 
-        const landscape = this.isLandscape();
-        const activeIndex = landscape ? this.settings.activeIndexLandscape : this.settings.activeIndexPortrait;
-        const activePosition = activeIndex === 0
-            ? (landscape ? this.settings.posLandscapeLeft : this.settings.posPortraitLeft)
-            : (landscape ? this.settings.posLandscapeRight : this.settings.posPortraitRight);
+        // Apply final positions using CSS variables
+        fab.style.setProperty('--fab-top', `${placed.top}px`);
+        fab.style.setProperty('--fab-left', `${placed.left}px`);
+    }
 
-        // Use the stored percentage values from settings
-        const topPercent = parseFloat(activePosition.top) || 0;
-        const leftPercent = parseFloat(activePosition.left) || 0;
-        const fabSize = this.settings.fabSize;
+    // --- Placement Helpers ---
+    // Area the FAB may occupy: the visible viewport (which excludes the on-screen keyboard) minus safe-area insets
+    getPlacementBounds(win: Window = window): Bounds {
+        const viewport = win.visualViewport;
+        const bounds: Bounds = {
+            top: 0,
+            left: 0,
+            bottom: viewport ? Math.min(win.innerHeight, viewport.offsetTop + viewport.height) : win.innerHeight,
+            right: viewport ? Math.min(win.innerWidth, viewport.offsetLeft + viewport.width) : win.innerWidth,
+        };
+        if (this.settings.respectSafeArea) {
+            const insets = this.getSafeAreaInsets(win);
+            bounds.top += insets.top;
+            bounds.left += insets.left;
+            bounds.bottom -= insets.bottom;
+            bounds.right -= insets.right;
+        }
+        return bounds;
+    }
 
-        // Calculate target pixel positions (top-left corner) based on percentages
-        let targetTop = (topPercent / 100) * window.innerHeight;
-        let targetLeft = (leftPercent / 100) * window.innerWidth;
+    // env() values can only be read through a styled element
+    getSafeAreaInsets(win: Window = window): Bounds {
+        const cached = this.safeAreaInsets.get(win);
+        if (cached) return cached;
+        const probe = win.document.body.createDiv();
+        probe.style.cssText = 'position: fixed; visibility: hidden; pointer-events: none;'
+            + 'padding: env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px) env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px);';
+        const style = win.getComputedStyle(probe);
+        const insets: Bounds = {
+            top: parseFloat(style.paddingTop) || 0,
+            left: parseFloat(style.paddingLeft) || 0,
+            bottom: parseFloat(style.paddingBottom) || 0,
+            right: parseFloat(style.paddingRight) || 0,
+        };
+        probe.remove();
+        this.safeAreaInsets.set(win, insets);
+        return insets;
+    }
 
-        // Clamp pixel values within viewport bounds
-        const clampedTop = Math.max(0, Math.min(targetTop, window.innerHeight - fabSize));
-        const clampedLeft = Math.max(0, Math.min(targetLeft, window.innerWidth - fabSize));
+    getViewportSize(win: Window = window): Size {
+        return { width: win.innerWidth, height: win.innerHeight };
+    }
 
-        // Apply final positions using CSS variables
-        this.fabElement.style.setProperty('--fab-top', `${clampedTop}px`);
-        this.fabElement.style.setProperty('--fab-left', `${clampedLeft}px`);
+    getFabBox(): Size {
+        return { width: this.getFabWidth(), height: this.settings.fabSize };
+    }
+
+    // Clamp a top-left pixel position so the whole FAB stays inside the placement bounds
+    clampToBounds(left: number, top: number, win: Window = window): Point {
+        return clampPoint({ left, top }, this.getFabBox(), this.getPlacementBounds(win));
+    }
+
+    // Pull the FAB onto any edge it was dropped close to
+    snapToEdges(left: number, top: number, win: Window = window): Point {
+        return snapPoint({ left, top }, this.getFabBox(), this.getPlacementBounds(win), this.settings.snapDistance);
+    }
+
+    // Move the FAB off visible Obsidian UI elements
+    avoidObstacles(left: number, top: number, win: Window = window): Point {
+        const obstacles: DOMRect[] = [];
+        OBSTACLE_SELECTORS.forEach(selector => {
+            win.document.querySelectorAll(selector).forEach(el => {
+                const rect = el.getBoundingClientRect();
+                if (rect.width > 0 && rect.height > 0) obstacles.push(rect);
+            });
+        });
+        return avoidRects({ left, top }, this.getFabBox(), this.getPlacementBounds(win), obstacles);
     }
 
 
     // --- Pointer Down Handler ---
-    onPointerDown(event: MouseEvent | TouchEvent) {
-        if (!this.fabElement || this.pointerDownHandled) return;
+    onPointerDown(event: MouseEvent | TouchEvent, fab: HTMLElement) {
+        if (this.pointerDownHandled) return;
         this.pointerDownHandled = true;
+        this.fabElement = fab; // Gestures act on the window of the pressed FAB
 
         this.isDragging = false;
+        this.dragUnlocked = false;
+        this.pointerDownTime = Date.now();
         if (this.longPressTimer) clearTimeout(this.longPressTimer);
 
         // Get initial position from computed style (which uses CSS vars)
-        const computedStyle = window.getComputedStyle(this.fabElement);
+        const computedStyle = fab.win.getComputedStyle(fab);
         this.fabInitialX = parseFloat(computedStyle.left); // Pixels
         this.fabInitialY = parseFloat(computedStyle.top);  // Pixels
 
-        if (event instanceof MouseEvent) {
+        // Events from popout windows are instances of that window's classes, hence instanceOf
+        const doc = fab.doc;
+        if (event.instanceOf(MouseEvent)) {
             this.dragStartX = event.clientX;
             this.dragStartY = event.clientY;
-            document.addEventListener('mousemove', this.onPointerMove);
-            document.addEventListener('mouseup', this.onPointerUp);
+            doc.addEventListener('mousemove', this.onPointerMove);
+            doc.addEventListener('mouseup', this.onPointerUp);
         } else { // TouchEvent
             event.preventDefault();
             const touch = event.touches[0];
             this.dragStartX = touch.clientX;
             this.dragStartY = touch.clientY;
-            document.addEventListener('touchmove', this.onPointerMove, { passive: false });
-            document.addEventListener('touchend', this.onPointerUp);
-            document.addEventListener('touchcancel', this.onPointerUp);
+            doc.addEventListener('touchmove', this.onPointerMove, { passive: false });
+            doc.addEventListener('touchend', this.onPointerUp);
+            doc.addEventListener('touchcancel', this.onPointerCancel);
+        }
+
+        // Hold to preview the recent tab, release to jump there
+        if (this.settings.peekOnHold) {
+            this.peekTimer = window.setTimeout(() => {
+                this.peekTimer = null;
+                if (!this.isDragging && this.longPressTimer) this.showPeek(); // Not after a long press
+            }, PEEK_DELAY);
         }
 
-        // Start 1-second long press timer
+        // Start long press timer, with a progress ring when holding does something
+        fab.toggleClass('is-pressing', this.settings.gestureActions.longPress.action !== 'none');
         this.longPressTimer = window.setTimeout(() => {
+            fab.removeClass('is-pressing');
             if (!this.isDragging) { // Only trigger if not dragging
                 this.handleLongPress();
             }
             this.longPressTimer = null; // Mark timer as handled
-        }, 1000);
+        }, this.settings.longPressDuration);
     }
 
     // --- Pointer Move Handler ---
@@ -213,7 +1398,7 @@ export default class RecentTabsPlugin extends Plugin {
         if (!this.pointerDownHandled) return;
 
         let currentX: number, currentY: number;
-        if (event instanceof MouseEvent) {
+        if (event.instanceOf(MouseEvent)) {
             currentX = event.clientX;
             currentY = event.clientY;
         } else {
@@ -225,18 +1410,23 @@ export default class RecentTabsPlugin extends Plugin {
         if (!this.isDragging) { // Check if dragging threshold met
             const deltaX = Math.abs(currentX - this.dragStartX);
             const deltaY = Math.abs(currentY - this.dragStartY);
-            const dragThreshold = 5;
+            const dragThreshold = this.settings.dragThreshold;
             if (deltaX > dragThreshold || deltaY > dragThreshold) {
                 if (this.longPressTimer) { // Cancel long press if dragging starts
                     clearTimeout(this.longPressTimer);
                     this.longPressTimer = null;
                 }
                 this.isDragging = true;
-                this.fabElement?.classList.add('is-dragging'); // Add class to disable transitions etc.
+                this.hidePeek();
+                this.fabElement?.removeClass('is-pressing');
+                if (this.canMoveFab()) {
+                    this.fabElement?.classList.add('is-dragging'); // Add class to disable transitions etc.
+                }
             }
         }
 
-        if (!this.isDragging || !this.fabElement) return; // Exit if not dragging
+        // Exit if not dragging, or if moving still needs a long press first (movement may become a swipe)
+        if (!this.isDragging || !this.fabElement || !this.canMoveFab()) return;
 
         if (event.type === 'touchmove') event.preventDefault();
 
@@ -245,11 +1435,10 @@ export default class RecentTabsPlugin extends Plugin {
         const deltaY = currentY - this.dragStartY;
         const newX = this.fabInitialX + deltaX;
         const newY = this.fabInitialY + deltaY;
-        const fabSize = this.settings.fabSize;
-
         // Clamp pixel values within viewport
-        const clampedX = Math.max(0, Math.min(newX, window.innerWidth - fabSize));
-        const clampedY = Math.max(0, Math.min(newY, window.innerHeight - fabSize));
+        const clamped = this.clampToBounds(newX, newY, this.fabElement.win);
+        const clampedX = clamped.left;
+        const clampedY = clamped.top;
 
         requestAnimationFrame(() => {
             if (this.fabElement && this.isDragging) {
@@ -266,6 +1455,8 @@ export default class RecentTabsPlugin extends Plugin {
 
         const wasDragging = this.isDragging;
         const longPressTimerStillPending = !!this.longPressTimer;
+        this.hidePeek();
+        this.fabElement?.removeClass('is-pressing');
 
         if (this.longPressTimer) { // Clear timer if it was pending (means it was a tap or short press ended by pointer up)
             clearTimeout(this.longPressTimer);
@@ -280,12 +1471,18 @@ export default class RecentTabsPlugin extends Plugin {
         }
 
         // --- Decide action ---
-        if (wasDragging) {
+        const swipeGesture = wasDragging ? this.getSwipeGesture(event) : null;
+        const movedFab = wasDragging && this.canMoveFab();
+        if (swipeGesture && this.settings.gestureActions[swipeGesture].action !== 'drag') {
+            // Quick flick: not a real drag, so snap back and run the swipe action
+            this.applyPosition();
+            this.runGestureAction(swipeGesture);
+        } else if (movedFab) {
             // Drag completed: Save position (calculates final pixels and converts to % for storage)
             this.saveDraggedPosition();
         } else if (longPressTimerStillPending) {
             // Timer was cleared by this pointerUp -> TAP/Click action
-            this.jumpToRecentTab();
+            this.handleTap();
         } else {
             // Timer was already null (fired or cancelled by drag) AND not dragging -> Long press completed action already happened in handleLongPress
             // No action needed here for the long press case itself.
@@ -297,87 +1494,154 @@ export default class RecentTabsPlugin extends Plugin {
         this.pointerDownHandled = false;
     }
 
+    // --- Pointer Cancel Handler ---
+    // The OS took over the touch (e.g. a system gesture), or the layout changed under the pointer:
+    // end the gesture without running any action and put the FAB back where it was
+    onPointerCancel = () => {
+        if (!this.pointerDownHandled) return;
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+        this.hidePeek();
+        this.fabElement?.removeClass('is-pressing');
+        this.fabElement?.removeClass('is-dragging');
+        this.removeGlobalListeners();
+        this.isDragging = false;
+        this.pointerDownHandled = false;
+        this.applyPosition();
+    }
+
+    // --- Gesture Recognition ---
+    // Moving the FAB is immediate, unless the long press is mapped to drag mode and has not fired yet
+    canMoveFab(): boolean {
+        return this.settings.gestureActions.longPress.action !== 'drag' || this.dragUnlocked;
+    }
+
+    // A swipe is a short, fast movement that ends the gesture. Returns null for regular drags.
+    getSwipeGesture(event: MouseEvent | TouchEvent): SwipeGesture | null {
+        let endX: number, endY: number;
+        if (event.instanceOf(MouseEvent)) {
+            endX = event.clientX;
+            endY = event.clientY;
+        } else {
+            if (event.changedTouches.length === 0) return null;
+            endX = event.changedTouches[0].clientX;
+            endY = event.changedTouches[0].clientY;
+        }
+
+        return getSwipeDirection(endX - this.dragStartX, endY - this.dragStartY, Date.now() - this.pointerDownTime);
+    }
+
+    // A tap is delayed only while a double tap is possible, so plain taps stay instant otherwise
+    handleTap() {
+        if (this.settings.gestureActions.doubleTap.action === 'none') {
+            this.runGestureAction('tap');
+        } else if (this.tapTimer) {
+            clearTimeout(this.tapTimer);
+            this.tapTimer = null;
+            this.runGestureAction('doubleTap');
+        } else {
+            this.tapTimer = window.setTimeout(() => {
+                this.tapTimer = null;
+                this.runGestureAction('tap');
+            }, DOUBLE_TAP_WINDOW);
+        }
+    }
+
+    runGestureAction(gesture: FabGesture) {
+        const mapping = this.settings.gestureActions[gesture];
+        const win = this.fabElement?.win ?? activeWindow;
+        switch (mapping.action) {
+            case 'jumpRecent': this.jumpToRecentTab(win); break;
+            case 'jumpPinned': this.jumpToPinned(win); break;
+            case 'goBack': this.goBackInHistory(win); break;
+            case 'goForward': this.goForwardInHistory(win); break;
+            case 'toggleSide': this.cycleFabPosition(); break;
+            case 'openHistory': this.openHistoryPicker(win); break;
+            case 'openMenu': this.openFabMenu(); break;
+            case 'command': this.runCommand(mapping.commandId); break;
+            case 'custom': this.runCustomAction(mapping.customActionId ?? '', win); break;
+            case 'drag': // Handled by the pointer handlers
+            case 'none': break;
+        }
+    }
+
+    runCommand(commandId: string) {
+        // The command registry is not part of the public API
+        const commands = (this.app as any).commands;
+        if (!commandId || !commands?.executeCommandById(commandId)) {
+            new Notice(`Could not run command "${commandId}".`);
+        }
+        this.fabElement?.blur();
+    }
+
+    runCustomAction(actionId: string, win: Window) {
+        const action = this.customActions.get(actionId);
+        if (!action) {
+            new Notice(`The action "${actionId}" is not available. Is the plugin providing it enabled?`);
+            return;
+        }
+        try {
+            action.callback(win);
+        } catch (error) {
+            console.error(`Error running FAB action "${actionId}":`, error);
+            new Notice(`Error running "${action.name}".`);
+        }
+        this.fabElement?.blur();
+    }
+
+    getActionLabel(mapping: GestureMapping): string {
+        if (mapping.action === 'custom') {
+            const actionId = mapping.customActionId ?? '';
+            return this.customActions.get(actionId)?.name ?? actionId;
+        }
+        if (mapping.action !== 'command') return FAB_ACTION_LABELS[mapping.action];
+        const command = (this.app as any).commands?.commands?.[mapping.commandId];
+        return command?.name ?? mapping.commandId;
+    }
+
     // --- Save Dragged Position with Overlap Check ---
     saveDraggedPosition() {
         if (!this.fabElement) return;
 
-        const landscape = this.isLandscape();
-        const activeIndex = landscape ? this.settings.activeIndexLandscape : this.settings.activeIndexPortrait;
-        const positionToUpdate = activeIndex === 0
-            ? (landscape ? this.settings.posLandscapeLeft : this.settings.posPortraitLeft)
-            : (landscape ? this.settings.posLandscapeRight : this.settings.posPortraitRight);
-        const otherPosition = activeIndex === 1 // Get the *other* position for the current orientation
-            ? (landscape ? this.settings.posLandscapeLeft : this.settings.posPortraitLeft)
-            : (landscape ? this.settings.posLandscapeRight : this.settings.posPortraitRight);
+        // The dragged FAB may be in a popout window with its own size and orientation
+        const win = this.fabElement.win;
+        const orientation = this.getOrientation(win);
+        const anchors = this.getAnchors(orientation);
+        const activeIndex = this.getActiveAnchorIndex(orientation);
+        const positionToUpdate = anchors[activeIndex];
 
         // Get final position from computed style (pixels) after drag ends
         const finalRect = this.fabElement.getBoundingClientRect();
-        const finalTopPx = finalRect.top;
-        const finalLeftPx = finalRect.left;
-
-        const fabSize = this.settings.fabSize;
-        const minSeparation = fabSize * 1.2; // Minimum distance between centers
-
-        // Calculate final center position in pixels
-        const finalCenterX = finalLeftPx + fabSize / 2;
-        const finalCenterY = finalTopPx + fabSize / 2;
-
-        // Calculate other position's center in pixels
-        const otherTopPercent = parseFloat(otherPosition.top) || 0;
-        const otherLeftPercent = parseFloat(otherPosition.left) || 0;
-        const otherTargetTop = (otherTopPercent / 100) * window.innerHeight;
-        const otherTargetLeft = (otherLeftPercent / 100) * window.innerWidth;
-        // Clamp the *other* position's pixels for accurate comparison
-        const otherClampedTopPx = Math.max(0, Math.min(otherTargetTop, window.innerHeight - fabSize));
-        const otherClampedLeftPx = Math.max(0, Math.min(otherTargetLeft, window.innerWidth - fabSize));
-        const otherCenterX = otherClampedLeftPx + fabSize / 2;
-        const otherCenterY = otherClampedTopPx + fabSize / 2;
-
-        // Calculate distance between centers
-        const dx = finalCenterX - otherCenterX;
-        const dy = finalCenterY - otherCenterY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        let finalTopPercent: number;
-        let finalLeftPercent: number;
-        let finalAdjustedTopPx = finalTopPx; // Start with dragged position
-        let finalAdjustedLeftPx = finalLeftPx; // Start with dragged position
-
-        if (distance < minSeparation && distance > 1) { // Check if too close (and not exactly the same spot)
-            console.warn(`FAB positions too close (dist: ${distance.toFixed(1)}px). Adjusting.`);
-            // Calculate vector away from the other position
-            const vectorX = dx / distance;
-            const vectorY = dy / distance;
-            // Calculate new center position pushed away
-            const adjustedCenterX = otherCenterX + vectorX * minSeparation;
-            const adjustedCenterY = otherCenterY + vectorY * minSeparation;
-            // Convert back to top-left pixel position
-            let adjustedTopPx = adjustedCenterY - fabSize / 2;
-            let adjustedLeftPx = adjustedCenterX - fabSize / 2;
-            // Clamp adjusted position within viewport
-            adjustedTopPx = Math.max(0, Math.min(adjustedTopPx, window.innerHeight - fabSize));
-            adjustedLeftPx = Math.max(0, Math.min(adjustedLeftPx, window.innerWidth - fabSize));
-
-            // Store the adjusted final pixel positions
-            finalAdjustedTopPx = adjustedTopPx;
-            finalAdjustedLeftPx = adjustedLeftPx;
-
+        const dropped = { left: finalRect.left, top: finalRect.top };
+        const snapped = this.settings.snapToEdge ? this.snapToEdges(dropped.left, dropped.top, win) : dropped;
+
+        // Push the position away from every *other* anchor of the current orientation that is too close,
+        // comparing against where those anchors are actually shown (clamped)
+        const otherAnchors = anchors
+            .filter((_anchor, index) => index !== activeIndex)
+            .map(anchor => {
+                const point = positionToPoint(anchor, this.getViewportSize(win));
+                return this.clampToBounds(point.left, point.top, win);
+            });
+        const minSeparation = this.settings.fabSize * 1.2; // Minimum distance between centers
+        const separated = separateFromAnchors(snapped, this.getFabBox(), otherAnchors, minSeparation, this.getPlacementBounds(win));
+        const final = separated ?? snapped;
+
+        if (final.left !== dropped.left || final.top !== dropped.top) {
              // Apply the adjusted position visually immediately using CSS variables
              // This happens *after* the is-dragging class is removed, so it might transition briefly.
              // This is generally acceptable for a final snap.
-             this.fabElement.style.setProperty('--fab-top', `${finalAdjustedTopPx}px`);
-             this.fabElement.style.setProperty('--fab-left', `${finalAdjustedLeftPx}px`);
+             this.fabElement.style.setProperty('--fab-top', `${final.top}px`);
+             this.fabElement.style.setProperty('--fab-left', `${final.left}px`);
         }
 
         // Convert final pixel positions (potentially adjusted) back to percentages for saving
-        finalTopPercent = (finalAdjustedTopPx / window.innerHeight) * 100;
-        finalLeftPercent = (finalAdjustedLeftPx / window.innerWidth) * 100;
-
-        // Save the final calculated percentages
-        positionToUpdate.top = `${finalTopPercent.toFixed(2)}%`;
-        positionToUpdate.left = `${finalLeftPercent.toFixed(2)}%`;
+        Object.assign(positionToUpdate, pointToPosition(final, this.getViewportSize(win)));
 
         this.saveSettings(); // Save settings with the new percentage position
+        if (this.settings.avoidObsidianUI) this.applyPosition(); // Move off any Obsidian UI it was dropped on
     }
 
 
@@ -386,95 +1650,529 @@ export default class RecentTabsPlugin extends Plugin {
         // Assumes !this.isDragging check was done by the timer callback
         // Timer is marked null by the callback that calls this
 
-        const landscape = this.isLandscape();
-        // Toggle the active index for the CURRENT orientation
-        if (landscape) {
-            this.settings.activeIndexLandscape = this.settings.activeIndexLandscape === 0 ? 1 : 0;
+        this.hidePeek();
+        if (this.settings.gestureActions.longPress.action === 'drag') {
+            this.dragUnlocked = true; // The button follows the pointer from now on
         } else {
-            this.settings.activeIndexPortrait = this.settings.activeIndexPortrait === 0 ? 1 : 0;
+            this.runGestureAction('longPress');
+        }
+        if (Platform.isMobile && navigator.vibrate) navigator.vibrate(50); // Shorter vibration
+
+        // Let onPointerUp handle listener cleanup and state resets.
+    }
+
+    cycleFabPosition() {
+        const orientation = this.getOrientation(this.fabElement?.win);
+        const anchors = this.getAnchors(orientation);
+        if (anchors.length < 2) {
+            new Notice('Only one button position is saved for this orientation.');
+            return;
         }
+        // Move to the next anchor of the CURRENT orientation
+        const nextIndex = (this.getActiveAnchorIndex(orientation) + 1) % anchors.length;
+        this.setActiveAnchorIndex(nextIndex, orientation);
 
-        // Apply the *other* position (for the current orientation) visually
+        // Apply the next position (for the current orientation) visually
         // This will now use the CSS transition defined in styles.css
         this.applyPosition();
 
         // Save the updated settings (saves the new active index)
         this.saveSettings();
 
-        new Notice(`Switched button position!`);
-        if (Platform.isMobile && navigator.vibrate) navigator.vibrate(50); // Shorter vibration
+        new Notice(`Moved button to "${anchors[nextIndex].name}".`);
+    }
 
-        // Let onPointerUp handle listener cleanup and state resets.
+    // --- Quick-action Menu ---
+    openFabMenu() {
+        this.closeFabMenu();
+        if (!this.fabElement || this.settings.menuItems.length === 0) {
+            new Notice('No quick actions configured.');
+            return;
+        }
+
+        const win = this.fabElement.win;
+        this.menuElement = win.document.body.createDiv({ cls: 'recent-tab-fab-menu' });
+        this.menuElement.style.setProperty('--fab-menu-item-size', `${this.getMenuItemSize()}px`);
+
+        const fabRect = this.fabElement.getBoundingClientRect();
+        const positions = this.getMenuItemPositions(fabRect.left + fabRect.width / 2, fabRect.top + fabRect.height / 2, win);
+        this.settings.menuItems.forEach((item, index) => {
+            const itemEl = this.menuElement!.createEl('button', { cls: ['recent-tab-fab-menu-item', 'clickable-icon'] });
+            setIcon(itemEl, item.icon);
+            itemEl.setAttribute('aria-label', this.getActionLabel({ action: 'command', commandId: item.commandId }));
+            itemEl.style.setProperty('--fab-menu-item-top', `${positions[index].y}px`);
+            itemEl.style.setProperty('--fab-menu-item-left', `${positions[index].x}px`);
+            itemEl.addEventListener('click', () => {
+                this.closeFabMenu();
+                this.runCommand(item.commandId);
+            });
+        });
+
+        // Close on any press outside the menu, or on Escape
+        win.document.addEventListener('mousedown', this.onMenuOutsidePress, true);
+        win.document.addEventListener('touchstart', this.onMenuOutsidePress, true);
+        win.document.addEventListener('keydown', this.onMenuKeyDown, true);
+        this.fabElement.blur();
+    }
+
+    closeFabMenu() {
+        const doc = this.menuElement?.doc ?? document;
+        doc.removeEventListener('mousedown', this.onMenuOutsidePress, true);
+        doc.removeEventListener('touchstart', this.onMenuOutsidePress, true);
+        doc.removeEventListener('keydown', this.onMenuKeyDown, true);
+        this.menuElement?.remove();
+        this.menuElement = null;
+    }
+
+    onMenuOutsidePress = (event: MouseEvent | TouchEvent) => {
+        if (this.menuElement && !this.menuElement.contains(event.target as Node)) this.closeFabMenu();
+    }
+
+    onMenuKeyDown = (event: KeyboardEvent) => {
+        if (event.key === 'Escape') this.closeFabMenu();
+    }
+
+    getMenuItemSize(): number {
+        return Math.round(this.settings.fabSize * 0.8);
+    }
+
+    // Top-left pixel positions of the menu items around the FAB center, kept inside the viewport
+    getMenuItemPositions(centerX: number, centerY: number, win: Window = window): { x: number; y: number }[] {
+        return layoutMenuItems(this.settings.menuItems.length, { x: centerX, y: centerY }, this.settings.fabSize,
+            this.getMenuItemSize(), this.settings.menuLayout, this.getViewportSize(win));
     }
 
     // --- Utility to remove global listeners ---
     removeGlobalListeners() {
-        document.removeEventListener('mousemove', this.onPointerMove);
-        document.removeEventListener('mouseup', this.onPointerUp);
-        document.removeEventListener('touchmove', this.onPointerMove);
-        document.removeEventListener('touchend', this.onPointerUp);
-        document.removeEventListener('touchcancel', this.onPointerUp);
+        const doc = this.fabElement?.doc ?? document; // Added to the document of the pressed FAB
+        doc.removeEventListener('mousemove', this.onPointerMove);
+        doc.removeEventListener('mouseup', this.onPointerUp);
+        doc.removeEventListener('touchmove', this.onPointerMove);
+        doc.removeEventListener('touchend', this.onPointerUp);
+        doc.removeEventListener('touchcancel', this.onPointerCancel);
     }
 
     // --- Resize Handler ---
     handleResize() {
+        this.safeAreaInsets = new WeakMap(); // Insets change with the orientation
+        this.onPointerCancel(); // A drag started in the old layout cannot be saved to the new one
+        this.updateKeyboardState();
         // Re-apply position based on new orientation/index and dimensions
         // This will use transitions if defined in CSS
         this.applyPosition();
+        this.closeFabMenu(); // Item positions depend on the viewport
         // Re-apply styles like size/opacity (though usually not needed on resize)
         this.applyFabStyles();
     }
 
-   // --- Tab History and Jumping Logic ---
-   updateRecentLeaves(currentLeaf: WorkspaceLeaf) {
-        if (!(currentLeaf.view instanceof MarkdownView)) return;
+    // --- Auto-hide ---
+    onEditorActivity(event: Event, kind: 'typing' | 'scrolling') {
+        if (this.settings.autoHideMode === 'off') return;
+        if (kind === 'typing' ? !this.settings.hideWhileTyping : !this.settings.hideWhileScrolling) return;
+        // Only activity inside workspace tabs counts, not settings, modals or the FAB menu
+        const target = event.target as Node | null;
+        if (!target?.instanceOf(Element) || !target.closest('.workspace-leaf')) return;
+
+        this.hiddenByActivity = true;
+        this.updateAutoHide();
+        if (this.autoHideTimer) clearTimeout(this.autoHideTimer);
+        this.autoHideTimer = window.setTimeout(() => {
+            this.autoHideTimer = null;
+            this.hiddenByActivity = false;
+            this.updateAutoHide();
+        }, this.settings.autoHideIdleDelay);
+    }
 
-        // Check if the leaf's *view's* container element has zero dimensions
-        // This is a more reliable check for hidden/collapsed states
+    // The on-screen keyboard shrinks the visual viewport well below the window height
+    updateKeyboardState() {
+        const viewport = window.visualViewport;
+        const wasOpen = this.isKeyboardOpen;
+        this.isKeyboardOpen = !!viewport && Platform.isMobile && viewport.height < window.innerHeight * 0.75;
+        if (wasOpen !== this.isKeyboardOpen) this.updateAutoHide();
+    }
+
+    updateAutoHide() {
+        const mode = this.settings.autoHideMode;
+        const hidden = mode !== 'off'
+            && (this.hiddenByActivity || (this.settings.hideWhileKeyboardOpen && this.isKeyboardOpen));
+
+        this.fabElements.forEach(fab => {
+            if (hidden && mode === 'slide') {
+                // Slide out past the nearest side edge
+                const rect = fab.getBoundingClientRect();
+                const shift = rect.left + rect.width / 2 < fab.win.innerWidth / 2
+                    ? -(rect.right + 10)
+                    : fab.win.innerWidth - rect.left + 10;
+                fab.style.setProperty('--fab-auto-hide-shift', `${shift}px`);
+            }
+            fab.toggleClass('mod-auto-hide-slide', mode === 'slide');
+            fab.toggleClass('is-auto-hidden', hidden);
+        });
+    }
+
+   // --- Tab History and Jumping Logic ---
+   updateRecentLeaves(currentLeaf: WorkspaceLeaf) {
+        if (!this.isTrackedLeaf(currentLeaf)) return;
+
+        // Check if the leaf's *view's* container element has zero dimensions
+        // This is a more reliable check for hidden/collapsed states
         if (currentLeaf.view.containerEl.offsetWidth === 0 || currentLeaf.view.containerEl.offsetHeight === 0) return;
 
-        const existingIndex = this.recentLeaves.findIndex(leaf => leaf === currentLeaf);
-        if (existingIndex === 0) return;
-        if (existingIndex > 0) this.recentLeaves.splice(existingIndex, 1);
+        const line = this.getLeafLine(currentLeaf);
+
+        // Leaves activated by back/forward navigation must not reorder the history
+        const history = this.getScopedHistory(currentLeaf);
+        const cursorEntry = history[this.getCursorIndex(history)];
+        if (cursorEntry && this.isSameLocation(cursorEntry, currentLeaf, line)) return;
+        // Any other activation ends the navigation and makes the leaf the newest entry
+        this.historyCursor = null;
+        this.recordLeaf(currentLeaf, line);
+    }
+
+    // Makes the leaf (at the given cursor line) the newest history entry
+    recordLeaf(currentLeaf: WorkspaceLeaf, line: number | null) {
+        const filePath = this.getLeafFilePath(currentLeaf);
+        // Location entries carry their own snapshot, leaf entries read the live state when saved
+        const eState = line !== null ? currentLeaf.getEphemeralState() ?? null : null;
+        // A restored entry whose leaf is gone is taken over by a new leaf showing the same file
+        const existingIndex = this.tabHistory.findIndex(entry =>
+            this.isSameLocation(entry, currentLeaf, line) || (!entry.leaf && filePath !== null && entry.filePath === filePath));
+        if (existingIndex === 0) {
+            // Still at the newest location: follow small cursor moves
+            this.tabHistory[0].leaf = currentLeaf;
+            if (line !== null) Object.assign(this.tabHistory[0], { eState, line });
+            return;
+        }
+        if (existingIndex > 0) this.tabHistory.splice(existingIndex, 1);
 
         // Add the new leaf to the beginning
-        this.recentLeaves.unshift(currentLeaf);
+        this.tabHistory.unshift({ leaf: currentLeaf, filePath, eState, line });
+
+        this.trimHistory();
+        this.onHistoryChanged();
+    }
+
+    // Cursor line in location-level history; null for leaf-level history and views without an editor
+    getLeafLine(leaf: WorkspaceLeaf): number | null {
+        if (this.settings.historyMode !== 'location' || !(leaf.view instanceof MarkdownView)) return null;
+        return leaf.view.editor.getCursor().line;
+    }
+
+    // Same leaf, and for location entries a cursor close enough to count as the same place
+    isSameLocation(entry: HistoryEntry, leaf: WorkspaceLeaf, line: number | null): boolean {
+        if (entry.leaf !== leaf) return false;
+        if (line === null || entry.line === null) return true;
+        return Math.abs(entry.line - line) < LOCATION_MIN_DISTANCE;
+    }
+
+    // Read from the view state so that deferred (not yet loaded) leaves report their real type
+    getLeafViewType(leaf: WorkspaceLeaf): string {
+        return leaf.getViewState().type;
+    }
 
-        // Keep only the last 2 unique leaves
-        if (this.recentLeaves.length > 2) {
-            this.recentLeaves = this.recentLeaves.slice(0, 2);
+    isTrackedLeaf(leaf: WorkspaceLeaf): boolean {
+        const listed = this.settings.viewTypeList.indexOf(this.getLeafViewType(leaf)) !== -1;
+        return this.settings.viewTypeFilterMode === 'allow' ? listed : !listed;
+    }
+
+    // Switching history modes: location entries collapse into one entry per leaf, leaf entries gain a line later
+    resetHistoryLocations() {
+        const seenLeaves = new Set<WorkspaceLeaf>();
+        this.tabHistory = this.tabHistory.filter(entry => {
+            if (!entry.leaf) return true;
+            if (seenLeaves.has(entry.leaf)) return false;
+            seenLeaves.add(entry.leaf);
+            return true;
+        });
+        this.tabHistory.forEach(entry => {
+            entry.line = null;
+            if (entry.leaf) entry.eState = null;
+        });
+        this.historyCursor = null;
+        this.onHistoryChanged();
+    }
+
+    // Keep only the configured number of unique leaves in each history scope
+    trimHistory() {
+        const counts = new Map<WorkspaceItem | null, number>();
+        this.tabHistory = this.tabHistory.filter(entry => {
+            const scope = this.getHistoryScope(entry.leaf);
+            const count = counts.get(scope) ?? 0;
+            counts.set(scope, count + 1);
+            return count < this.settings.historyDepth;
+        });
+        if (this.historyCursor && this.tabHistory.indexOf(this.historyCursor) === -1) this.historyCursor = null;
+        this.updateTargetPreview();
+    }
+
+    // --- History Scopes ---
+    // Workspace item whose leaves share a history with the given leaf; null for the global history and closed tabs
+    getHistoryScope(leaf: WorkspaceLeaf | null): WorkspaceItem | null {
+        if (!leaf) return null;
+        switch (this.settings.historyScope) {
+            case 'window': return leaf.getContainer(); // Main window or popout window
+            case 'split': return leaf.getRoot(); // Main area, left or right sidebar, or popout window
+            case 'tabGroup': return leaf.parent;
+            case 'global': return null;
         }
     }
 
-    jumpToRecentTab() {
-        if (this.recentLeaves.length < 2) {
-            new Notice('No previous tab available to switch to.');
+    // Entries in the same scope as the given leaf, newest first. Closed tabs belong to every scope,
+    // as reopening them creates a new tab next to the active one.
+    getScopedHistory(scopeLeaf: WorkspaceLeaf | null): HistoryEntry[] {
+        if (this.settings.historyScope === 'global') return this.tabHistory;
+        const scope = this.getHistoryScope(scopeLeaf);
+        return this.tabHistory.filter(entry => !entry.leaf || (scope !== null && this.getHistoryScope(entry.leaf) === scope));
+    }
+
+    // A window's history follows its active leaf, or its most recent one while another window is focused
+    getScopeLeaf(win: Window): WorkspaceLeaf | null {
+        const activeLeaf = this.getActiveTrackedLeaf();
+        if (activeLeaf && activeLeaf.getContainer()?.win === win) return activeLeaf;
+        // Leaves of closed popouts are detached and have no container
+        return this.tabHistory.find(entry => entry.leaf?.getContainer()?.win === win)?.leaf ?? null;
+    }
+
+    getWindowHistory(win: Window): HistoryEntry[] {
+        return this.getScopedHistory(this.getScopeLeaf(win));
+    }
+
+    // Index of the back/forward cursor in a scoped history (0 when not navigating there)
+    getCursorIndex(history: HistoryEntry[]): number {
+        return this.historyCursor ? Math.max(0, history.indexOf(this.historyCursor)) : 0;
+    }
+
+    // --- History Repair ---
+    // Entries of closed, detached or no longer tracked leaves become closed tabs to reopen from their file,
+    // or are dropped when closed tabs are skipped or their file is gone
+    repairHistory() {
+        const openLeaves = new Set<WorkspaceLeaf>();
+        this.app.workspace.iterateAllLeaves(leaf => { openLeaves.add(leaf); });
+
+        let changed = false;
+        this.tabHistory = this.tabHistory.filter(entry => {
+            if (entry.leaf && openLeaves.has(entry.leaf) && this.isTrackedLeaf(entry.leaf)) {
+                // Tabs can navigate to other files; keep path and scroll position current in case they are closed
+                if (entry.line === null) {
+                    entry.filePath = this.getLeafFilePath(entry.leaf) ?? entry.filePath;
+                    entry.eState = entry.leaf.getEphemeralState() ?? null;
+                }
+                return true;
+            }
+            if (entry.leaf) {
+                entry.leaf = null;
+                changed = true;
+            }
+            const reopenable = this.settings.closedTabs === 'reopen' && entry.filePath !== null
+                && this.app.vault.getAbstractFileByPath(entry.filePath) instanceof TFile;
+            if (!reopenable) changed = true;
+            return reopenable;
+        });
+
+        if (!changed) return;
+        if (this.historyCursor && this.tabHistory.indexOf(this.historyCursor) === -1) this.historyCursor = null;
+        this.onHistoryChanged();
+    }
+
+    removeHistoryEntry(entry: HistoryEntry) {
+        this.tabHistory.remove(entry);
+        if (this.historyCursor === entry) this.historyCursor = null;
+        this.onHistoryChanged();
+    }
+
+    // Keep the paths of closed tabs valid, including files inside a renamed folder
+    onFileRenamed(path: string, oldPath: string) {
+        let changed = false;
+        this.tabHistory.forEach(entry => {
+            const renamed = this.getRenamedPath(entry.filePath, path, oldPath);
+            if (renamed === null) return;
+            entry.filePath = renamed;
+            changed = true;
+        });
+        if (changed) this.onHistoryChanged();
+
+        let pinsChanged = false;
+        this.settings.pins.forEach(pin => {
+            const renamed = this.getRenamedPath(pin.filePath, path, oldPath);
+            if (renamed === null) return;
+            pin.filePath = renamed;
+            pinsChanged = true;
+        });
+        if (pinsChanged) this.saveSettings();
+    }
+
+    // New path of a file affected by renaming oldPath (a file or folder) to path; null when it is not affected
+    getRenamedPath(filePath: string | null, path: string, oldPath: string): string | null {
+        if (filePath === oldPath) return path;
+        if (filePath?.startsWith(oldPath + '/')) return path + filePath.slice(oldPath.length);
+        return null;
+    }
+
+    // --- Pinned Tabs ---
+    // Open leaves a pin points to: its own tab while open, otherwise every tab showing its file
+    getPinLeaves(pin: Pin): WorkspaceLeaf[] {
+        const leaves: WorkspaceLeaf[] = [];
+        let pinnedLeaf: WorkspaceLeaf | null = null;
+        this.app.workspace.iterateAllLeaves(leaf => {
+            if (pin.leafId !== null && this.getLeafId(leaf) === pin.leafId) pinnedLeaf = leaf;
+            else if (pin.filePath !== null && this.isTrackedLeaf(leaf) && this.getLeafFilePath(leaf) === pin.filePath) leaves.push(leaf);
+        });
+        return pinnedLeaf ? [pinnedLeaf] : leaves;
+    }
+
+    // Prefers a tab in the given window, so pinned jumps stay local where possible
+    findPinLeaf(pin: Pin, win: Window = activeWindow): WorkspaceLeaf | null {
+        const leaves = this.getPinLeaves(pin);
+        return leaves.find(leaf => leaf.getContainer()?.win === win) ?? leaves[0] ?? null;
+    }
+
+    getPinTitle(pin: Pin): string {
+        const leaf = this.findPinLeaf(pin);
+        if (leaf) return leaf.getDisplayText();
+        return pin.filePath?.split('/').pop()?.replace(/\.md$/, '') ?? 'Pinned tab';
+    }
+
+    // From any other tab this goes to the first pin, from a pinned tab on to the next pin,
+    // and from the last pin back to the recent tab
+    jumpToPinned(win: Window = activeWindow) {
+        const pins = this.settings.pins;
+        if (pins.length === 0) {
+            new Notice('No pinned tabs. Pin one with the "Pin/unpin current tab" command.');
             return;
         }
+        const activeLeaf = this.getActiveTrackedLeaf();
+        const activeIndex = activeLeaf ? pins.findIndex(pin => this.getPinLeaves(pin).indexOf(activeLeaf) !== -1) : -1;
+        if (activeIndex === pins.length - 1) {
+            this.jumpToRecentTab(win);
+        } else {
+            this.openPin(pins[activeIndex + 1], win);
+        }
+        this.fabElement?.blur();
+    }
 
-        // Get the currently active leaf IF it's a Markdown view
-        const activeLeaf = this.app.workspace.getActiveViewOfType(MarkdownView)?.leaf;
+    openPin(pin: Pin, win: Window = activeWindow): boolean {
+        const previousLeaf = this.app.workspace.getActiveViewOfType(View)?.leaf ?? null;
+        let leaf = this.findPinLeaf(pin, win);
+        if (leaf) {
+            if (!this.switchToLeaf(leaf)) return false;
+        } else {
+            const file = pin.filePath ? this.app.vault.getAbstractFileByPath(pin.filePath) : null;
+            if (!(file instanceof TFile)) {
+                new Notice('The pinned tab was closed and has no file to reopen.');
+                return false;
+            }
+            leaf = this.app.workspace.getLeaf('tab');
+            if (pin.leafId !== null) {
+                // The pin moves to the new tab
+                pin.leafId = this.getLeafId(leaf);
+                this.saveSettings();
+            }
+            leaf.openFile(file, { active: true }).catch((error) => {
+                console.error("Error reopening pinned tab:", error);
+                new Notice('Error reopening pinned tab.');
+            });
+        }
+        const item: RecentTabHistoryItem = { leaf, filePath: pin.filePath, line: null, title: this.getPinTitle(pin) };
+        this.app.workspace.trigger('recent-tab-switcher:jump', item, previousLeaf);
+        return true;
+    }
+
+    togglePinnedLeaf(leaf: WorkspaceLeaf) {
+        const leafId = this.getLeafId(leaf);
+        const index = this.settings.pins.findIndex(pin => pin.leafId !== null && pin.leafId === leafId);
+        if (index !== -1) {
+            this.settings.pins.splice(index, 1);
+            new Notice(`Unpinned "${leaf.getDisplayText()}".`);
+        } else {
+            this.settings.pins.push({ leafId, filePath: this.getLeafFilePath(leaf) });
+            new Notice(`Pinned "${leaf.getDisplayText()}".`);
+        }
+        this.saveSettings();
+    }
+
+    togglePinnedFile(filePath: string) {
+        const index = this.settings.pins.findIndex(pin => pin.leafId === null && pin.filePath === filePath);
+        const title = filePath.split('/').pop()?.replace(/\.md$/, '') ?? filePath;
+        if (index !== -1) {
+            this.settings.pins.splice(index, 1);
+            new Notice(`Unpinned "${title}".`);
+        } else {
+            this.settings.pins.push({ leafId: null, filePath });
+            new Notice(`Pinned "${title}".`);
+        }
+        this.saveSettings();
+    }
+
+    // Pinned tabs keep the path of the file they show; pins whose tab and file are both gone are dropped
+    repairPins() {
+        if (!this.app.workspace.layoutReady) return; // Pinned tabs are not restored yet
+        let changed = false;
+        this.settings.pins = this.settings.pins.filter(pin => {
+            const leaf = pin.leafId !== null ? this.getPinLeaves(pin).find(leaf => this.getLeafId(leaf) === pin.leafId) : undefined;
+            if (leaf) {
+                const filePath = this.getLeafFilePath(leaf);
+                if (filePath !== null && filePath !== pin.filePath) {
+                    pin.filePath = filePath;
+                    changed = true;
+                }
+                return true;
+            }
+            const exists = pin.filePath !== null && this.app.vault.getAbstractFileByPath(pin.filePath) instanceof TFile;
+            if (!exists) changed = true;
+            return exists;
+        });
+        if (changed) this.saveSettings();
+    }
+
+    // Saves the history soon and lets other plugins know
+    onHistoryChanged() {
+        this.requestHistorySave();
+        this.updateTargetPreview();
+        this.updateVisibility(); // For "hide without history"
+        this.app.workspace.trigger('recent-tab-switcher:history-changed');
+    }
+
+    // Get the currently active leaf IF it's a tracked view
+    getActiveTrackedLeaf(): WorkspaceLeaf | null {
+        const activeLeaf = this.app.workspace.getActiveViewOfType(View)?.leaf;
+        return activeLeaf && this.isTrackedLeaf(activeLeaf) ? activeLeaf : null;
+    }
+
+    isActiveEntry(entry: HistoryEntry): boolean {
+        const activeLeaf = this.getActiveTrackedLeaf();
+        return !!activeLeaf && this.isSameLocation(entry, activeLeaf, this.getLeafLine(activeLeaf));
+    }
 
-        let targetLeaf: WorkspaceLeaf | null = null;
+    // The entry a jump to the recent tab goes to (may be the active one in rare cases)
+    getRecentTabTarget(win: Window = activeWindow): HistoryEntry | null {
+        const history = this.getWindowHistory(win);
+        if (history.length < 2) return null;
 
-        // If no active markdown leaf, or active leaf is the *first* in history, jump to the *second*
-        if (!activeLeaf || activeLeaf === this.recentLeaves[0]) {
-            targetLeaf = this.recentLeaves[1];
+        // If no active tracked leaf, or active leaf is the *first* in history, jump to the *second*
+        if (!this.getActiveTrackedLeaf() || this.isActiveEntry(history[0])) {
+            return history[1];
         }
-        // Otherwise (active leaf is likely the second, or something else), jump to the *first*
-        else {
-            targetLeaf = this.recentLeaves[0];
+        // Otherwise (active leaf is likely the second, or in another window), jump to the *first*
+        return history[0];
+    }
+
+    // Commands act in the focused window, FAB gestures in the window of the pressed FAB
+    jumpToRecentTab(win: Window = activeWindow) {
+        if (this.getWindowHistory(win).length < 2) {
+            new Notice('No previous tab available to switch to.');
+            return;
         }
 
-        if (targetLeaf && targetLeaf !== activeLeaf) { // Ensure we have a target and it's not the current one
-             try {
-                this.app.workspace.setActiveLeaf(targetLeaf, { focus: true });
-             } catch (error) {
-                 console.error("Error switching tabs:", error);
-                 new Notice('Error switching tabs. The tab might have been closed.');
-                 // Clean up potentially closed leaves? Might be too complex.
-             }
-        } else if (targetLeaf === activeLeaf) {
+        // Record where the cursor is now, it may have moved since the last update
+        const activeLeaf = this.getActiveTrackedLeaf();
+        if (activeLeaf && this.settings.historyMode === 'location') this.updateRecentLeaves(activeLeaf);
+
+        const targetEntry = this.getRecentTabTarget(win);
+
+        if (targetEntry && !this.isActiveEntry(targetEntry)) { // Ensure we have a target and it's not the current one
+            // Unreachable entries are dropped from the history, so the next try gets the next valid one
+            if (!this.openHistoryEntry(targetEntry)) this.jumpToRecentTab(win);
+        } else if (targetEntry) {
             // This case should ideally not happen often with the logic above, but good to handle.
              new Notice('Already on the most recent tab.');
         } else {
@@ -482,6 +2180,334 @@ export default class RecentTabsPlugin extends Plugin {
         }
         this.fabElement?.blur(); // Remove focus from FAB after action
     }
+
+    // Activates the entry's leaf, or reopens its file in a new tab if the leaf was closed.
+    // Returns false, after removing the entry from the history, when neither is possible.
+    openHistoryEntry(entry: HistoryEntry): boolean {
+        // The tab may have been closed since the last layout change
+        const title = this.getEntryTitle(entry);
+        this.repairHistory();
+        if (this.tabHistory.indexOf(entry) === -1) {
+            new Notice(`"${title}" is no longer open, skipping it.`);
+            return false;
+        }
+
+        const previousLeaf = this.app.workspace.getActiveViewOfType(View)?.leaf ?? null;
+        if (entry.leaf) {
+            // Move the cursor before activating, so active-leaf-change already sees the target location
+            if (entry.line !== null && entry.eState) entry.leaf.setEphemeralState(entry.eState);
+            if (!this.switchToLeaf(entry.leaf)) {
+                this.removeHistoryEntry(entry);
+                return false;
+            }
+            this.app.workspace.trigger('recent-tab-switcher:jump', this.toHistoryItem(entry), previousLeaf);
+            return true;
+        }
+
+        const file = entry.filePath ? this.app.vault.getAbstractFileByPath(entry.filePath) : null;
+        if (!(file instanceof TFile)) {
+            new Notice('Could not reopen tab. Its file no longer exists.');
+            this.removeHistoryEntry(entry);
+            return false;
+        }
+
+        const leaf = this.app.workspace.getLeaf('tab');
+        // Attach the leaf first so the resulting active-leaf-change matches this entry
+        // (and any other location of the same file, which lived in the same closed leaf)
+        entry.leaf = leaf;
+        this.tabHistory.forEach(other => {
+            if (!other.leaf && other.filePath === entry.filePath) other.leaf = leaf;
+        });
+        leaf.openFile(file, { active: true, eState: entry.eState ?? undefined }).catch((error) => {
+            console.error("Error reopening tab:", error);
+            new Notice('Error reopening tab.');
+        });
+        this.app.workspace.trigger('recent-tab-switcher:jump', this.toHistoryItem(entry), previousLeaf);
+        return true;
+    }
+
+    switchToLeaf(targetLeaf: WorkspaceLeaf): boolean {
+        try {
+            this.app.workspace.setActiveLeaf(targetLeaf, { focus: true });
+            return true;
+        } catch (error) {
+            console.error("Error switching tabs:", error);
+            new Notice('Error switching tabs. The tab might have been closed.');
+            return false;
+        }
+    }
+
+    // --- Back/Forward Navigation ---
+    goBackInHistory(win: Window = activeWindow) {
+        this.navigateHistory(1, win);
+    }
+
+    goForwardInHistory(win: Window = activeWindow) {
+        this.navigateHistory(-1, win);
+    }
+
+    // Moves the cursor through the history without reordering it (offset > 0 goes back in time)
+    navigateHistory(offset: number, win: Window = activeWindow) {
+        const history = this.getWindowHistory(win);
+        const targetIndex = this.getCursorIndex(history) + offset;
+        if (targetIndex < 0) {
+            new Notice('Already at the newest tab in history.');
+        } else if (targetIndex >= history.length) {
+            new Notice('No older tab in history.');
+        } else {
+            const previousCursor = this.historyCursor;
+            // Move the cursor first: setActiveLeaf fires active-leaf-change synchronously
+            this.historyCursor = history[targetIndex];
+            if (!this.openHistoryEntry(history[targetIndex])) {
+                // The entry was dropped, the same step now reaches the next one
+                this.historyCursor = previousCursor;
+                this.navigateHistory(offset, win);
+                return;
+            }
+        }
+        this.fabElement?.blur();
+    }
+
+    openHistoryPicker(win: Window = activeWindow) {
+        const history = this.getWindowHistory(win);
+        if (history.length === 0 && this.settings.pins.length === 0) {
+            new Notice('No tab history available yet.');
+            return;
+        }
+        new TabHistoryModal(this.app, this, history, win).open();
+        this.fabElement?.blur();
+    }
+
+    // --- Public API ---
+    createApi(): RecentTabSwitcherApi {
+        return {
+            getHistory: (win) => this.getApiHistory(win).map(entry => this.toHistoryItem(entry)),
+            jumpToIndex: (index, win) => {
+                const entry = this.getApiHistory(win)[index];
+                return !!entry && this.openHistoryEntry(entry);
+            },
+            jumpToRecentTab: (win) => this.jumpToRecentTab(win),
+            pushLeaf: (leaf) => {
+                if (!this.isTrackedLeaf(leaf)) return;
+                this.historyCursor = null;
+                this.recordLeaf(leaf, this.getLeafLine(leaf));
+            },
+            getPins: () => this.settings.pins.map(pin => ({
+                leaf: this.findPinLeaf(pin), filePath: pin.filePath, line: null, title: this.getPinTitle(pin),
+            })),
+            pinLeaf: (leaf) => {
+                const leafId = this.getLeafId(leaf);
+                if (this.settings.pins.some(pin => pin.leafId !== null && pin.leafId === leafId)) return;
+                this.settings.pins.push({ leafId, filePath: this.getLeafFilePath(leaf) });
+                this.saveSettings();
+            },
+            pinFile: (filePath) => {
+                if (this.settings.pins.some(pin => pin.leafId === null && pin.filePath === filePath)) return;
+                this.settings.pins.push({ leafId: null, filePath });
+                this.saveSettings();
+            },
+            unpin: (index) => {
+                if (index < 0 || index >= this.settings.pins.length) return;
+                this.settings.pins.splice(index, 1);
+                this.saveSettings();
+            },
+            jumpToPinned: (win) => this.jumpToPinned(win),
+            showFab: () => this.setFabVisible(true),
+            hideFab: () => this.setFabVisible(false),
+            isFabVisible: () => this.settings.showFab,
+            registerFabAction: (action) => {
+                this.customActions.set(action.id, action);
+                this.updateFabLabel();
+                return () => {
+                    if (this.customActions.get(action.id) !== action) return; // Replaced by a newer registration
+                    this.customActions.delete(action.id);
+                    this.updateFabLabel();
+                };
+            },
+        };
+    }
+
+    getApiHistory(win?: Window): HistoryEntry[] {
+        return win ? this.getWindowHistory(win) : this.tabHistory;
+    }
+
+    toHistoryItem(entry: HistoryEntry): RecentTabHistoryItem {
+        return { leaf: entry.leaf, filePath: entry.filePath, line: entry.line, title: this.getEntryTitle(entry) };
+    }
+
+    // --- History Persistence ---
+    getLeafId(leaf: WorkspaceLeaf): string | null {
+        return (leaf as any).id ?? null; // Not part of the public API, but stable across restarts
+    }
+
+    // Read from the view state so that deferred (not yet loaded) leaves report their file too
+    getLeafFilePath(leaf: WorkspaceLeaf): string | null {
+        const file = leaf.getViewState().state?.file;
+        return typeof file === 'string' ? file : null;
+    }
+
+    getEntryTitle(entry: HistoryEntry): string {
+        if (entry.leaf) return entry.leaf.getDisplayText();
+        return entry.filePath?.split('/').pop()?.replace(/\.md$/, '') ?? 'Closed tab';
+    }
+
+    serializeHistory(): SavedHistoryEntry[] {
+        // Until the saved history has been restored, keep it untouched
+        if (this.pendingSavedHistory) return this.pendingSavedHistory;
+
+        return this.tabHistory.map(entry => {
+            if (!entry.leaf) return { leafId: null, filePath: entry.filePath, eState: entry.eState, line: entry.line };
+            return {
+                leafId: this.getLeafId(entry.leaf),
+                filePath: this.getLeafFilePath(entry.leaf) ?? entry.filePath,
+                // Scroll position, cursor, ... (location entries keep their own snapshot)
+                eState: (entry.line !== null ? entry.eState : entry.leaf.getEphemeralState()) ?? null,
+                line: entry.line,
+            };
+        });
+    }
+
+    // Match saved entries against the restored workspace leaves (by id, then by file)
+    restoreHistory() {
+        const savedHistory = this.pendingSavedHistory ?? [];
+        this.pendingSavedHistory = null;
+
+        const openLeaves: WorkspaceLeaf[] = [];
+        this.app.workspace.iterateAllLeaves(leaf => { openLeaves.push(leaf); });
+
+        const usedLeaves = new Set<WorkspaceLeaf>(this.tabHistory.map(entry => entry.leaf).filter((leaf): leaf is WorkspaceLeaf => !!leaf));
+        // Several locations may live in the same leaf
+        const isFree = (leaf: WorkspaceLeaf) => this.settings.historyMode === 'location' || !usedLeaves.has(leaf);
+        const restored: HistoryEntry[] = [];
+        for (const saved of savedHistory) {
+            const line = this.settings.historyMode === 'location' ? saved.line ?? null : null;
+            const leaf = openLeaves.find(leaf => isFree(leaf) && saved.leafId !== null && this.getLeafId(leaf) === saved.leafId)
+                ?? openLeaves.find(leaf => isFree(leaf) && saved.filePath !== null && this.getLeafFilePath(leaf) === saved.filePath);
+            if (leaf) {
+                usedLeaves.add(leaf);
+                restored.push({ leaf, filePath: saved.filePath, eState: saved.eState, line });
+            } else if (this.settings.closedTabs === 'reopen' && saved.filePath && this.app.vault.getAbstractFileByPath(saved.filePath) instanceof TFile) {
+                // Leaf is gone: keep the file so it can be reopened when jumped to
+                restored.push({ leaf: null, filePath: saved.filePath, eState: saved.eState, line });
+            }
+        }
+
+        // Entries recorded before the restore (e.g. the active leaf) stay the newest
+        this.tabHistory = this.tabHistory.concat(restored);
+        this.trimHistory();
+        this.onHistoryChanged(); // The FAB target and "hide without history" depend on it too
+    }
+}
+
+
+// --- History Picker Modal ---
+// Pinned tabs are listed above the history
+class TabHistoryModal extends SuggestModal<HistoryEntry | Pin> {
+    plugin: RecentTabsPlugin;
+    history: HistoryEntry[]; // The history of the window the picker was opened from
+    win: Window;
+
+    constructor(app: App, plugin: RecentTabsPlugin, history: HistoryEntry[], win: Window) {
+        super(app);
+        this.plugin = plugin;
+        this.history = history;
+        this.win = win;
+        this.setPlaceholder('Jump to a recent tab...');
+        this.emptyStateText = 'No matching tabs in history.';
+    }
+
+    getSuggestions(query: string): (HistoryEntry | Pin)[] {
+        const lowerQuery = query.toLowerCase();
+        const pins = this.plugin.settings.pins.filter(pin =>
+            this.plugin.getPinTitle(pin).toLowerCase().includes(lowerQuery));
+        const entries = this.history.filter(entry =>
+            this.plugin.getEntryTitle(entry).toLowerCase().includes(lowerQuery));
+        return (pins as (HistoryEntry | Pin)[]).concat(entries);
+    }
+
+    renderSuggestion(item: HistoryEntry | Pin, el: HTMLElement) {
+        if (!('leaf' in item)) {
+            el.addClass('recent-tab-history-pinned');
+            const titleEl = el.createDiv({ cls: 'recent-tab-history-title' });
+            setIcon(titleEl.createSpan({ cls: 'recent-tab-history-pin-icon' }), 'pin');
+            titleEl.appendText(this.plugin.getPinTitle(item));
+            if (item.filePath) el.createEl('small', { text: item.filePath, cls: 'recent-tab-history-path' });
+            return;
+        }
+        const entry = item;
+        const title = this.plugin.getEntryTitle(entry);
+        el.createDiv({ text: entry.line !== null ? `${title} (line ${entry.line + 1})` : title });
+        // Show the file path underneath the title, when the view has a file
+        if (entry.filePath) el.createEl('small', { text: entry.filePath, cls: 'recent-tab-history-path' });
+        if (!entry.leaf) el.addClass('recent-tab-history-closed');
+        if (entry === this.history[this.plugin.getCursorIndex(this.history)]) el.addClass('recent-tab-history-current');
+    }
+
+    onChooseSuggestion(item: HistoryEntry | Pin) {
+        if ('leaf' in item) this.plugin.openHistoryEntry(item);
+        else this.plugin.openPin(item, this.win);
+    }
+}
+
+
+// --- Icon Picker Modal ---
+class IconPickerModal extends FuzzySuggestModal<string> {
+    onChoose: (icon: string) => void;
+
+    constructor(app: App, onChoose: (icon: string) => void) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('Pick an icon...');
+    }
+
+    getItems(): string[] {
+        return getIconIds();
+    }
+
+    getItemText(icon: string): string {
+        return icon;
+    }
+
+    renderSuggestion(match: FuzzyMatch<string>, el: HTMLElement) {
+        el.addClass('recent-tab-icon-suggestion');
+        setIcon(el.createSpan(), match.item);
+        el.createSpan({ text: match.item });
+    }
+
+    onChooseItem(icon: string) {
+        this.onChoose(icon);
+    }
+}
+
+// --- Settings Import Modal ---
+class SettingsImportModal extends Modal {
+    plugin: RecentTabsPlugin;
+    onImported: () => void;
+
+    constructor(app: App, plugin: RecentTabsPlugin, onImported: () => void) {
+        super(app);
+        this.plugin = plugin;
+        this.onImported = onImported;
+    }
+
+    onOpen() {
+        this.titleEl.setText('Import settings');
+        this.contentEl.createEl('p', { text: 'Paste settings exported from this plugin. Settings not included keep their current values, and your pinned tabs are kept.' });
+        const textArea = this.contentEl.createEl('textarea', { cls: 'recent-tab-settings-import' });
+        new Setting(this.contentEl)
+            .addButton(button => button
+                .setButtonText('Import')
+                .setCta()
+                .onClick(async () => {
+                    if (!(await this.plugin.importSettings(textArea.value))) return; // Keep the text to fix it
+                    this.close();
+                    this.onImported();
+                }));
+    }
+
+    onClose() {
+        this.contentEl.empty();
+    }
 }
 
 
@@ -499,6 +2525,37 @@ class RecentTabsSettingTab extends PluginSettingTab {
         containerEl.empty();
         containerEl.createEl('h2', { text: 'Recent Tabs FAB Settings' });
 
+        new Setting(containerEl)
+            .setName('Show Button')
+            .setDesc('Show the floating button. All its actions are also available as commands, so it can be hidden on desktop.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.showFab)
+                .onChange((value) => this.plugin.setFabVisible(value)));
+
+        new Setting(containerEl)
+            .setName('Recent Tab Badge')
+            .setDesc('Show where a tap will jump to as a badge on the button. The tooltip always names it.')
+            .addDropdown(dropdown => dropdown
+                .addOption('off', 'Off')
+                .addOption('name', 'Note name')
+                .addOption('initials', 'Initials')
+                .addOption('icon', 'View type icon')
+                .setValue(this.plugin.settings.targetBadge)
+                .onChange(async (value) => {
+                    this.plugin.settings.targetBadge = value as 'off' | 'name' | 'initials' | 'icon';
+                    this.plugin.updateTargetPreview();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Peek on Hold')
+            .setDesc('Hold the button briefly to preview the recent tab; release to jump to it.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.peekOnHold)
+                .onChange(async (value) => {
+                    this.plugin.settings.peekOnHold = value;
+                    await this.plugin.saveSettings();
+                }));
+
         // Size and Opacity Sliders
         new Setting(containerEl)
             .setName('Button Size')
@@ -527,10 +2584,136 @@ class RecentTabsSettingTab extends PluginSettingTab {
                     await this.plugin.saveSettings();
                 }));
 
-        // Reset Button - Resets ALL positions and indices
+        new Setting(containerEl)
+            .setName('Button Icon')
+            .setDesc(`Currently "${this.plugin.settings.fabIcon}".`)
+            .addExtraButton(button => button
+                .setIcon(this.plugin.settings.fabIcon)
+                .setTooltip('Change icon')
+                .onClick(() => {
+                    new IconPickerModal(this.app, async (icon) => {
+                        this.plugin.settings.fabIcon = icon;
+                        this.plugin.applyFabStyles();
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }).open();
+                }));
+
+        new Setting(containerEl)
+            .setName('Button Shape')
+            .addDropdown(dropdown => dropdown
+                .addOption('circle', 'Circle')
+                .addOption('rounded', 'Rounded square')
+                .addOption('pill', 'Pill')
+                .setValue(this.plugin.settings.fabShape)
+                .onChange(async (value) => {
+                    this.plugin.settings.fabShape = value as FabShape;
+                    this.plugin.applyFabStyles();
+                    this.plugin.applyPosition(); // The pill is wider
+                    await this.plugin.saveSettings();
+                }));
+
+        this.addColorSetting(containerEl, 'Background Color', 'fabBackgroundColor');
+        this.addColorSetting(containerEl, 'Icon Color', 'fabForegroundColor');
+        this.addColorSetting(containerEl, 'Accent Color', 'fabAccentColor', 'Used by the recent tab badge and the long-press progress ring.');
+
+        new Setting(containerEl)
+            .setName('History Depth')
+            .setDesc('Maximum number of recent tabs remembered for the history picker, in each scope when the history is scoped.')
+            .addSlider(slider => slider
+                .setLimits(2, 50, 1)
+                .setValue(this.plugin.settings.historyDepth)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.historyDepth = value;
+                    this.plugin.trimHistory(); // Drop entries beyond the new depth right away
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('History Mode')
+            .setDesc('Remember recent tabs, or recent cursor and scroll locations (so the button can also jump between places inside one note).')
+            .addDropdown(dropdown => dropdown
+                .addOption('leaf', 'Tabs')
+                .addOption('location', 'Locations')
+                .setValue(this.plugin.settings.historyMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.historyMode = value as 'leaf' | 'location';
+                    this.plugin.resetHistoryLocations();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('History Scope')
+            .setDesc('Share one history across the whole workspace, or keep a separate one per window, per root split (main area, sidebars, popout windows) or per tab group, so switching never leaves the pane you are working in.')
+            .addDropdown(dropdown => dropdown
+                .addOption('global', 'Whole workspace')
+                .addOption('window', 'Per window')
+                .addOption('split', 'Per root split')
+                .addOption('tabGroup', 'Per tab group')
+                .setValue(this.plugin.settings.historyScope)
+                .onChange(async (value) => {
+                    this.plugin.settings.historyScope = value as HistoryScope;
+                    this.plugin.historyCursor = null;
+                    this.plugin.trimHistory(); // History Depth applies per scope
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Closed Tabs')
+            .setDesc('When a tab in the history has been closed, reopen its file in a new tab (at the last scroll and cursor position), or skip to the next tab that is still open.')
+            .addDropdown(dropdown => dropdown
+                .addOption('reopen', 'Reopen in a new tab')
+                .addOption('skip', 'Skip to the next open tab')
+                .setValue(this.plugin.settings.closedTabs)
+                .onChange(async (value) => {
+                    this.plugin.settings.closedTabs = value as 'reopen' | 'skip';
+                    this.plugin.repairHistory(); // Drops closed tabs when skipping them
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Tracked View Types')
+            .setDesc('Choose whether the list below names the only view types kept in the history, or the view types ignored by it.')
+            .addDropdown(dropdown => dropdown
+                .addOption('deny', 'Track all except listed')
+                .addOption('allow', 'Track only listed')
+                .setValue(this.plugin.settings.viewTypeFilterMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.viewTypeFilterMode = value as 'allow' | 'deny';
+                    this.plugin.repairHistory(); // Drops tabs that are no longer tracked
+                    this.plugin.updateTargetPreview();
+                    await this.plugin.saveSettings();
+                }));
+
+        // List the view types currently open to help filling the list
+        const openViewTypes = new Set<string>();
+        this.app.workspace.iterateAllLeaves(leaf => { openViewTypes.add(this.plugin.getLeafViewType(leaf)); });
+        new Setting(containerEl)
+            .setName('View Type List')
+            .setDesc(`One view type per line (e.g. markdown, canvas, pdf, image, graph, excalidraw, kanban). Currently open: ${[...openViewTypes].join(', ')}.`)
+            .addTextArea(text => text
+                .setValue(this.plugin.settings.viewTypeList.join('\n'))
+                .onChange(async (value) => {
+                    this.plugin.settings.viewTypeList = value.split('\n').map(type => type.trim()).filter(type => type.length > 0);
+                    this.plugin.repairHistory();
+                    this.plugin.updateTargetPreview();
+                    await this.plugin.saveSettings();
+                }));
+
+        this.displayPinSettings(containerEl);
+        this.displayGestureSettings(containerEl);
+        this.displayMenuSettings(containerEl);
+        this.displayPositionSettings(containerEl);
+        this.displayPlacementSettings(containerEl);
+        this.displayAutoHideSettings(containerEl);
+        this.displayVisibilitySettings(containerEl);
+        this.displayTransferSettings(containerEl);
+
+        // Reset Button - Resets ALL positions and indices of this device
         new Setting(containerEl)
             .setName('Reset Positions')
-            .setDesc('Reset all saved positions (Portrait & Landscape) and active sides to defaults.')
+            .setDesc('Reset all saved positions (Portrait & Landscape) of this device and the active positions to defaults.')
             .addButton(button => button
                 .setButtonText('Reset All Positions')
                 .setClass('mod-warning') // Add emphasis
@@ -538,26 +2721,490 @@ class RecentTabsSettingTab extends PluginSettingTab {
                     if (!confirm("Are you sure you want to reset all FAB positions to their defaults?")) {
                         return;
                     }
-                    // Reset all position and index settings to defaults
-                    this.plugin.settings.posPortraitLeft = { ...DEFAULT_SETTINGS.posPortraitLeft };
-                    this.plugin.settings.posPortraitRight = { ...DEFAULT_SETTINGS.posPortraitRight };
-                    this.plugin.settings.activeIndexPortrait = DEFAULT_SETTINGS.activeIndexPortrait;
-                    this.plugin.settings.posLandscapeLeft = { ...DEFAULT_SETTINGS.posLandscapeLeft };
-                    this.plugin.settings.posLandscapeRight = { ...DEFAULT_SETTINGS.posLandscapeRight };
-                    this.plugin.settings.activeIndexLandscape = DEFAULT_SETTINGS.activeIndexLandscape;
-                    await this.plugin.saveSettings(); // Save the reset values
-                    // Apply the reset position and styles visually
-                    this.plugin.applyPosition(); // Apply new position (will use defaults)
-                    this.plugin.applyFabStyles(); // Ensure styles are correct
-                    new Notice('All FAB positions reset to defaults.');
-                    // No need to refresh display as positions are not shown here
+                    await this.plugin.resetPositions();
+                    this.display(); // Show the default positions
                 }));
 
          // Help text
          const helpEl = containerEl.createDiv({ cls: 'setting-item-description' }); // Use description class for spacing
-         helpEl.createEl('p', { text: `Drag the button on screen to reposition it for the current screen orientation (Portrait or Landscape). The position is saved automatically.` });
-         helpEl.createEl('p', { text: `Long press (hold for 1 second) the button to switch between its saved left/right positions for the current orientation.` });
-         helpEl.createEl('p', { text: `Tap the button to jump to the previously active tab.` });
+         helpEl.createEl('p', { text: `Drag the button on screen to move the active position of the current screen orientation (Portrait or Landscape). The position is saved automatically.` });
+         helpEl.createEl('p', { text: `A swipe is a quick flick of at least 40 pixels; slower movements drag the button. Map a swipe to "Drag mode" to let it move the button too.` });
+         helpEl.createEl('p', { text: `Mapping the long press to "Drag mode" locks the button in place until it has been held for the long press duration.` });
+
+    }
+
+    // Color picker with a reset button; an empty value follows the theme
+    addColorSetting(containerEl: HTMLElement, name: string, key: 'fabBackgroundColor' | 'fabForegroundColor' | 'fabAccentColor', description: string = '') {
+        const value = this.plugin.settings[key];
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(value ? description : `${description} Follows the theme.`.trim())
+            .addColorPicker(picker => {
+                if (value) picker.setValue(value);
+                picker.onChange(async (color) => {
+                    this.plugin.settings[key] = color;
+                    this.plugin.applyFabStyles();
+                    await this.plugin.saveSettings();
+                });
+            })
+            .addExtraButton(button => button
+                .setIcon('rotate-ccw')
+                .setTooltip('Use the theme color')
+                .setDisabled(!value)
+                .onClick(async () => {
+                    this.plugin.settings[key] = '';
+                    this.plugin.applyFabStyles();
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+    }
+
+    displayPinSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Pinned Tabs' });
+        containerEl.createDiv({
+            cls: 'setting-item-description',
+            text: 'Pin tabs with the "Pin/unpin current tab" command, or files from their context menu. Map a gesture to "Jump to pinned tab" to visit the pins in order and return to your recent tab after the last one.',
+        });
+
+        this.plugin.settings.pins.forEach((pin, index) => {
+            new Setting(containerEl)
+                .setName(this.plugin.getPinTitle(pin))
+                .setDesc(`${pin.leafId !== null ? 'Tab' : 'File'}${pin.filePath ? `: ${pin.filePath}` : ''}`)
+                .addExtraButton(button => button
+                    .setIcon('arrow-up')
+                    .setTooltip('Move up')
+                    .setDisabled(index === 0)
+                    .onClick(async () => {
+                        const pins = this.plugin.settings.pins;
+                        [pins[index - 1], pins[index]] = [pins[index], pins[index - 1]];
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }))
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip('Unpin')
+                    .onClick(async () => {
+                        this.plugin.settings.pins.splice(index, 1);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+        });
+    }
+
+    displayGestureSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Gestures' });
+
+        const commands = this.getSortedCommands();
+
+        for (const gesture of Object.keys(GESTURE_LABELS) as FabGesture[]) {
+            const mapping = this.plugin.settings.gestureActions[gesture];
+            // Drag mode only makes sense for gestures that involve holding or moving the button
+            const actions = (Object.keys(FAB_ACTION_LABELS) as FabAction[])
+                .filter(action => action !== 'drag' || (gesture !== 'tap' && gesture !== 'doubleTap'));
+
+            const setting = new Setting(containerEl)
+                .setName(GESTURE_LABELS[gesture])
+                .addDropdown(dropdown => {
+                    actions.forEach(action => dropdown.addOption(action, FAB_ACTION_LABELS[action]));
+                    dropdown
+                        .setValue(mapping.action)
+                        .onChange(async (value) => {
+                            this.plugin.settings.gestureActions[gesture] = { ...mapping, action: value as FabAction };
+                            this.plugin.updateFabLabel();
+                            await this.plugin.saveSettings();
+                            this.display(); // Show or hide the command or plugin action picker
+                        });
+                });
+
+            if (mapping.action === 'command') {
+                setting.addDropdown(dropdown => {
+                    dropdown.addOption('', 'Choose a command...');
+                    commands.forEach(command => dropdown.addOption(command.id, command.name));
+                    dropdown
+                        .setValue(mapping.commandId)
+                        .onChange(async (value) => {
+                            this.plugin.settings.gestureActions[gesture] = { ...mapping, action: 'command', commandId: value };
+                            this.plugin.updateFabLabel();
+                            await this.plugin.saveSettings();
+                        });
+                });
+            }
+
+            if (mapping.action === 'custom') {
+                setting.addDropdown(dropdown => {
+                    dropdown.addOption('', 'Choose a plugin action...');
+                    this.plugin.customActions.forEach(action => dropdown.addOption(action.id, action.name));
+                    // Keep a saved action whose plugin is not loaded right now
+                    const actionId = mapping.customActionId ?? '';
+                    if (actionId && !this.plugin.customActions.has(actionId)) dropdown.addOption(actionId, `${actionId} (unavailable)`);
+                    dropdown
+                        .setValue(actionId)
+                        .onChange(async (value) => {
+                            this.plugin.settings.gestureActions[gesture] = { ...mapping, action: 'custom', customActionId: value };
+                            this.plugin.updateFabLabel();
+                            await this.plugin.saveSettings();
+                        });
+                });
+            }
+        }
+
+        new Setting(containerEl)
+            .setName('Long Press Duration')
+            .setDesc('How long the button has to be held for a long press (in milliseconds).')
+            .addSlider(slider => slider
+                .setLimits(300, 2000, 100)
+                .setValue(this.plugin.settings.longPressDuration)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.longPressDuration = value;
+                    this.plugin.applyFabStyles(); // Progress ring duration
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Drag Threshold')
+            .setDesc('How far the pointer has to move before a press becomes a drag or swipe (in pixels).')
+            .addSlider(slider => slider
+                .setLimits(2, 30, 1)
+                .setValue(this.plugin.settings.dragThreshold)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.dragThreshold = value;
+                    await this.plugin.saveSettings();
+                }));
+    }
+
+    displayMenuSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Quick-action Menu' });
+        containerEl.createDiv({ cls: 'setting-item-description', text: 'Map a gesture to "Open quick-action menu" to expand the button into these actions.' });
+
+        new Setting(containerEl)
+            .setName('Menu Layout')
+            .addDropdown(dropdown => dropdown
+                .addOption('radial', 'Radial (arc around the button)')
+                .addOption('stack', 'Stacked (column above or below)')
+                .setValue(this.plugin.settings.menuLayout)
+                .onChange(async (value) => {
+                    this.plugin.settings.menuLayout = value as 'radial' | 'stack';
+                    await this.plugin.saveSettings();
+                }));
+
+        const commands = this.getSortedCommands();
+        this.plugin.settings.menuItems.forEach((item, index) => {
+            new Setting(containerEl)
+                .setName(`Item ${index + 1}`)
+                .addExtraButton(button => button
+                    .setIcon(item.icon)
+                    .setTooltip('Change icon')
+                    .onClick(() => {
+                        new IconPickerModal(this.app, async (icon) => {
+                            item.icon = icon;
+                            await this.plugin.saveSettings();
+                            this.display();
+                        }).open();
+                    }))
+                .addDropdown(dropdown => {
+                    dropdown.addOption('', 'Choose a command...');
+                    commands.forEach(command => dropdown.addOption(command.id, command.name));
+                    dropdown
+                        .setValue(item.commandId)
+                        .onChange(async (value) => {
+                            item.commandId = value;
+                            await this.plugin.saveSettings();
+                        });
+                })
+                .addExtraButton(button => button
+                    .setIcon('trash')
+                    .setTooltip('Remove item')
+                    .onClick(async () => {
+                        this.plugin.settings.menuItems.splice(index, 1);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+        });
+
+        new Setting(containerEl)
+            .addButton(button => button
+                .setButtonText('Add Item')
+                .onClick(async () => {
+                    this.plugin.settings.menuItems.push({ icon: 'star', commandId: '' });
+                    await this.plugin.saveSettings();
+                    this.display();
+                }));
+    }
+
+    displayPositionSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Positions' });
+        const profileId = this.plugin.getDeviceProfileId();
+        containerEl.createDiv({
+            cls: 'setting-item-description',
+            text: `Positions are saved separately for each device (this device: ${profileId}). The long press cycles through the positions of the current orientation.`,
+        });
+
+        for (const orientation of ['portrait', 'landscape'] as Orientation[]) {
+            new Setting(containerEl).setName(orientation === 'portrait' ? 'Portrait' : 'Landscape').setHeading();
+
+            const anchors = this.plugin.getAnchors(orientation);
+            const activeIndex = this.plugin.getActiveAnchorIndex(orientation);
+            anchors.forEach((anchor, index) => {
+                new Setting(containerEl)
+                    .setDesc(`Top ${anchor.top}, left ${anchor.left}${index === activeIndex ? ' (active)' : ''}`)
+                    .addText(text => text
+                        .setValue(anchor.name)
+                        .onChange(async (value) => {
+                            anchor.name = value;
+                            await this.plugin.saveSettings();
+                        }))
+                    .addExtraButton(button => button
+                        .setIcon('map-pin')
+                        .setTooltip('Use this position')
+                        .onClick(async () => {
+                            this.plugin.setActiveAnchorIndex(index, orientation);
+                            this.plugin.applyPosition();
+                            await this.plugin.saveSettings();
+                            this.display();
+                        }))
+                    .addExtraButton(button => button
+                        .setIcon('trash')
+                        .setTooltip('Delete position')
+                        .setDisabled(anchors.length < 2) // Keep at least one position
+                        .onClick(async () => {
+                            if (anchors.length < 2) return;
+                            anchors.splice(index, 1);
+                            // Keep the same anchor active when an earlier one is removed
+                            const newActiveIndex = index < activeIndex ? activeIndex - 1 : Math.min(activeIndex, anchors.length - 1);
+                            this.plugin.setActiveAnchorIndex(newActiveIndex, orientation);
+                            this.plugin.applyPosition();
+                            await this.plugin.saveSettings();
+                            this.display();
+                        }));
+            });
+
+            new Setting(containerEl)
+                .setDesc('New positions start at the active position and become active, so you can drag them into place.')
+                .addButton(button => button
+                    .setButtonText('Add Position')
+                    .onClick(async () => {
+                        const activeAnchor = anchors[this.plugin.getActiveAnchorIndex(orientation)];
+                        anchors.push({ name: `Position ${anchors.length + 1}`, top: activeAnchor.top, left: activeAnchor.left });
+                        this.plugin.setActiveAnchorIndex(anchors.length - 1, orientation);
+                        await this.plugin.saveSettings();
+                        this.display();
+                    }));
+        }
+
+        // Layouts synced from other devices can be cleaned up here
+        const otherProfiles = Object.keys(this.plugin.settings.layouts).filter(id => id !== profileId);
+        if (otherProfiles.length > 0) {
+            new Setting(containerEl).setName('Other Devices').setHeading();
+            otherProfiles.forEach(otherId => {
+                new Setting(containerEl)
+                    .setName(otherId)
+                    .addExtraButton(button => button
+                        .setIcon('trash')
+                        .setTooltip('Forget positions of this device')
+                        .onClick(async () => {
+                            delete this.plugin.settings.layouts[otherId];
+                            await this.plugin.saveSettings();
+                            this.display();
+                        }));
+            });
+        }
+    }
+
+    displayPlacementSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Placement' });
+
+        new Setting(containerEl)
+            .setName('Respect Safe Area')
+            .setDesc('Keep the button clear of notches, rounded corners and the home indicator.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.respectSafeArea)
+                .onChange(async (value) => {
+                    this.plugin.settings.respectSafeArea = value;
+                    this.plugin.applyPosition();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Avoid Obsidian Toolbars')
+            .setDesc('Automatically move the button off the mobile toolbar, navigation bar, status bar and the active view header.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.avoidObsidianUI)
+                .onChange(async (value) => {
+                    this.plugin.settings.avoidObsidianUI = value;
+                    this.plugin.applyPosition();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Snap to Edge')
+            .setDesc('Snap the button to a screen edge when it is dropped close to it.')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.snapToEdge)
+                .onChange(async (value) => {
+                    this.plugin.settings.snapToEdge = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Snap Distance')
+            .setDesc('How close to an edge (in pixels) the button has to be dropped to snap to it.')
+            .addSlider(slider => slider
+                .setLimits(4, 80, 4)
+                .setValue(this.plugin.settings.snapDistance)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.snapDistance = value;
+                    await this.plugin.saveSettings();
+                }));
+    }
+
+    displayAutoHideSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Auto-hide' });
+
+        new Setting(containerEl)
+            .setName('Auto-hide')
+            .setDesc('Get the button out of the way while you work in a note.')
+            .addDropdown(dropdown => dropdown
+                .addOption('off', 'Off')
+                .addOption('fade', 'Fade out')
+                .addOption('slide', 'Slide away')
+                .setValue(this.plugin.settings.autoHideMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.autoHideMode = value as 'off' | 'fade' | 'slide';
+                    this.plugin.updateAutoHide();
+                    await this.plugin.saveSettings();
+                    this.display(); // Show or hide the detailed options
+                }));
+
+        if (this.plugin.settings.autoHideMode === 'off') return;
+
+        new Setting(containerEl)
+            .setName('Hide While Typing')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.hideWhileTyping)
+                .onChange(async (value) => {
+                    this.plugin.settings.hideWhileTyping = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Hide While Scrolling')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.hideWhileScrolling)
+                .onChange(async (value) => {
+                    this.plugin.settings.hideWhileScrolling = value;
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Hide While Keyboard Is Open')
+            .setDesc('Hide the button while the on-screen keyboard is visible (mobile only).')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.hideWhileKeyboardOpen)
+                .onChange(async (value) => {
+                    this.plugin.settings.hideWhileKeyboardOpen = value;
+                    this.plugin.updateAutoHide();
+                    await this.plugin.saveSettings();
+                }));
+        new Setting(containerEl)
+            .setName('Reappear After')
+            .setDesc('How long (in milliseconds) without typing or scrolling before the button comes back.')
+            .addSlider(slider => slider
+                .setLimits(500, 5000, 250)
+                .setValue(this.plugin.settings.autoHideIdleDelay)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.autoHideIdleDelay = value;
+                    await this.plugin.saveSettings();
+                }));
+    }
+
+    displayTransferSettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Import and Export' });
+
+        new Setting(containerEl)
+            .setName('Export Settings')
+            .setDesc('Copy all settings except pinned tabs to the clipboard as JSON, e.g. to share a button setup with others.')
+            .addButton(button => button
+                .setButtonText('Copy to Clipboard')
+                .onClick(async () => {
+                    try {
+                        await navigator.clipboard.writeText(this.plugin.exportSettings());
+                        new Notice('Settings copied to the clipboard.');
+                    } catch (error) {
+                        // E.g. denied clipboard permission on mobile
+                        console.error("Error copying settings:", error);
+                        new Notice('Could not copy the settings to the clipboard.');
+                    }
+                }));
+        new Setting(containerEl)
+            .setName('Import Settings')
+            .setDesc('Apply settings exported from this plugin. Invalid values are reset to their defaults.')
+            .addButton(button => button
+                .setButtonText('Import...')
+                .onClick(() => new SettingsImportModal(this.app, this.plugin, () => this.display()).open()));
+    }
+
+    displayVisibilitySettings(containerEl: HTMLElement) {
+        containerEl.createEl('h3', { text: 'Visibility Rules' });
+
+        const platforms: { name: string; key: 'showOnPhone' | 'showOnTablet' | 'showOnDesktop' }[] = [
+            { name: 'Show on Phones', key: 'showOnPhone' },
+            { name: 'Show on Tablets', key: 'showOnTablet' },
+            { name: 'Show on Desktop', key: 'showOnDesktop' },
+        ];
+        platforms.forEach(({ name, key }) => {
+            new Setting(containerEl)
+                .setName(name)
+                .addToggle(toggle => toggle
+                    .setValue(this.plugin.settings[key])
+                    .onChange(async (value) => {
+                        this.plugin.settings[key] = value;
+                        this.plugin.updateVisibility();
+                        await this.plugin.saveSettings();
+                    }));
+        });
+
+        new Setting(containerEl)
+            .setName('Status Bar Toggle')
+            .setDesc('Show/hide the button from the status bar (desktop only).')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.statusBarToggle)
+                .onChange(async (value) => {
+                    this.plugin.settings.statusBarToggle = value;
+                    this.plugin.updateStatusBarToggle();
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Hide Without History')
+            .setDesc('Hide the button until there is a tab to jump to (fewer than two tabs in the history).')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.hideWithoutHistory)
+                .onChange(async (value) => {
+                    this.plugin.settings.hideWithoutHistory = value;
+                    this.plugin.updateVisibility();
+                    await this.plugin.saveSettings();
+                }));
+
+        const lists: { name: string; desc: string; key: 'hiddenViewTypes' | 'hiddenFolders' | 'hiddenTags'; normalize: (value: string) => string }[] = [
+            { name: 'Hide in View Types', desc: 'One view type per line (e.g. graph, localgraph, canvas).', key: 'hiddenViewTypes', normalize: value => value },
+            { name: 'Hide in Folders', desc: 'One folder path per line; subfolders are included.', key: 'hiddenFolders', normalize: value => value.replace(/^\/+|\/+$/g, '') },
+            { name: 'Hide for Tags', desc: 'One tag per line, with or without "#"; nested tags are included.', key: 'hiddenTags', normalize: value => value.replace(/^#/, '') },
+        ];
+        lists.forEach(({ name, desc, key, normalize }) => {
+            new Setting(containerEl)
+                .setName(name)
+                .setDesc(desc)
+                .addTextArea(text => text
+                    .setValue(this.plugin.settings[key].join('\n'))
+                    .onChange(async (value) => {
+                        this.plugin.settings[key] = value.split('\n').map(line => normalize(line.trim())).filter(line => line.length > 0);
+                        this.plugin.updateVisibility();
+                        await this.plugin.saveSettings();
+                    }));
+        });
+    }
 
+    getSortedCommands(): { id: string; name: string }[] {
+        // The command registry is not part of the public API
+        const commands: { id: string; name: string }[] = (this.app as any).commands?.listCommands?.() ?? [];
+        return commands.sort((a, b) => a.name.localeCompare(b.name));
     }
 }
\ No newline at end of file
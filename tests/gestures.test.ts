@@ -0,0 +1,194 @@
+import './harness/setup';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { activate, fabRect, loadPlugin, openTab, PointerKind, press, resizeWindow, TestEnv, unloadPlugin } from './harness/env';
+import { WorkspaceLeaf } from './harness/obsidian';
+
+// 1000x800 is landscape; the default landscape anchors are at 5% / 95% left and 80% top, the right one active.
+// 95% is clamped so the 50px FAB stays on screen.
+const LANDSCAPE_RIGHT = { left: 950, top: 640 };
+
+describe('FAB gestures', () => {
+    let env: TestEnv;
+    let first: WorkspaceLeaf;
+    let second: WorkspaceLeaf;
+
+    beforeEach(async () => {
+        env = await loadPlugin();
+        first = openTab(env.app, 'First.md');
+        second = openTab(env.app, 'Second.md');
+        activate(env.app, first);
+        activate(env.app, second);
+    });
+
+    afterEach(() => unloadPlugin(env));
+
+    const landscapeAnchors = () => env.plugin.getAnchors('landscape');
+
+    for (const kind of ['mouse', 'touch'] as PointerKind[]) {
+        describe(`with ${kind} input`, () => {
+            it('jumps to the recent tab on a tap', () => {
+                const pointer = press(env.fab, kind, 10, 10);
+                pointer.hold(100);
+                pointer.release(10, 10);
+                assert.equal(env.app.workspace.activeLeaf, first);
+            });
+
+            it('cycles the position on a long press, without a tap on release', () => {
+                const pointer = press(env.fab, kind, 10, 10);
+                pointer.hold(env.plugin.settings.longPressDuration);
+                assert.equal(env.plugin.getActiveAnchorIndex('landscape'), 0);
+                pointer.release(10, 10);
+                assert.equal(env.app.workspace.activeLeaf, second);
+            });
+
+            it('saves a drag as percentages of the window', () => {
+                const pointer = press(env.fab, kind, 10, 10);
+                pointer.hold(100);
+                pointer.move(-90, 10);
+                pointer.hold(400); // Slow enough not to be a swipe
+                pointer.release(-90, 10);
+                assert.deepEqual(landscapeAnchors()[1], { name: 'Right', top: '80.00%', left: '85.00%' });
+                assert.equal(env.app.workspace.activeLeaf, second);
+            });
+
+            it('does not fire the long press once a drag has started', () => {
+                const pointer = press(env.fab, kind, 10, 10);
+                pointer.hold(100);
+                pointer.move(-90, 10);
+                pointer.hold(env.plugin.settings.longPressDuration);
+                assert.equal(env.plugin.getActiveAnchorIndex('landscape'), 1);
+                assert.ok(!env.fab.hasClass('is-pressing'));
+                pointer.release(-90, 10);
+                assert.equal(landscapeAnchors()[1].left, '85.00%');
+            });
+
+            it('runs the swipe action on a quick flick and snaps back', () => {
+                const pointer = press(env.fab, kind, 100, 100);
+                pointer.move(40, 100);
+                pointer.release(40, 100); // Swipe left: back in history
+                assert.equal(env.app.workspace.activeLeaf, first);
+                assert.equal(landscapeAnchors()[1].left, '95%');
+                assert.deepEqual({ left: fabRect(env.fab).left, top: fabRect(env.fab).top }, LANDSCAPE_RIGHT);
+            });
+        });
+    }
+
+    describe('touchcancel', () => {
+        it('ends a press without a tap', () => {
+            const pointer = press(env.fab, 'touch', 10, 10);
+            pointer.hold(100);
+            pointer.cancel(10, 10);
+            assert.equal(env.app.workspace.activeLeaf, second);
+            assert.ok(!env.fab.hasClass('is-pressing'));
+        });
+
+        it('ends a drag without saving it and puts the FAB back', () => {
+            const pointer = press(env.fab, 'touch', 10, 10);
+            pointer.hold(100);
+            pointer.move(-190, 10);
+            pointer.hold(400);
+            pointer.cancel(-190, 10);
+            assert.equal(landscapeAnchors()[1].left, '95%');
+            assert.ok(!env.fab.hasClass('is-dragging'));
+            assert.deepEqual({ left: fabRect(env.fab).left, top: fabRect(env.fab).top }, LANDSCAPE_RIGHT);
+        });
+
+        it('cancels the pending long press', () => {
+            const pointer = press(env.fab, 'touch', 10, 10);
+            pointer.cancel(10, 10);
+            pointer.hold(env.plugin.settings.longPressDuration);
+            assert.equal(env.plugin.getActiveAnchorIndex('landscape'), 1);
+        });
+
+        it('ignores moves after the cancel', () => {
+            const pointer = press(env.fab, 'touch', 10, 10);
+            pointer.cancel(10, 10);
+            pointer.move(-190, 10);
+            assert.deepEqual({ left: fabRect(env.fab).left, top: fabRect(env.fab).top }, LANDSCAPE_RIGHT);
+        });
+    });
+
+    describe('orientation change mid-drag', () => {
+        it('cancels the drag instead of saving it to the new orientation', () => {
+            const portraitBefore = env.plugin.getAnchors('portrait').map(anchor => ({ ...anchor }));
+            const pointer = press(env.fab, 'touch', 10, 10);
+            pointer.hold(100);
+            pointer.move(-190, 10);
+            resizeWindow(800, 1000);
+            pointer.hold(400);
+            pointer.release(-190, 10);
+            assert.deepEqual(env.plugin.getAnchors('portrait'), portraitBefore);
+            assert.equal(landscapeAnchors()[1].left, '95%');
+            assert.equal(env.app.workspace.activeLeaf, second); // No tap either
+            // Shown at the active portrait anchor (90% left, 85% top, clamped)
+            assert.deepEqual({ left: fabRect(env.fab).left, top: fabRect(env.fab).top }, { left: 720, top: 850 });
+        });
+    });
+
+    describe('drag mode on long press', () => {
+        beforeEach(() => {
+            env.plugin.settings.gestureActions.longPress = { action: 'drag', commandId: '' };
+        });
+
+        it('keeps the FAB in place until the long press has fired', () => {
+            const pointer = press(env.fab, 'mouse', 10, 10);
+            pointer.hold(100);
+            pointer.move(-90, 10);
+            assert.deepEqual({ left: fabRect(env.fab).left, top: fabRect(env.fab).top }, LANDSCAPE_RIGHT);
+            pointer.hold(400);
+            pointer.release(-90, 10);
+            assert.equal(landscapeAnchors()[1].left, '95%');
+        });
+
+        it('moves the FAB after the long press', () => {
+            const pointer = press(env.fab, 'mouse', 10, 10);
+            pointer.hold(env.plugin.settings.longPressDuration);
+            pointer.move(-90, 10);
+            pointer.release(-90, 10);
+            assert.equal(landscapeAnchors()[1].left, '85.00%');
+        });
+    });
+
+    describe('peek on hold', () => {
+        beforeEach(() => {
+            env.plugin.settings.peekOnHold = true;
+            first.detach(); // Closed tabs are previewed by rendering their note
+        });
+
+        afterEach(() => mock.restoreAll());
+
+        it('shows that there is no preview when the note cannot be read', async () => {
+            mock.method(env.app.vault, 'cachedRead', async () => { throw new Error('Read failed'); });
+            mock.method(console, 'error', () => {});
+            const pointer = press(env.fab, 'mouse', 10, 10);
+            pointer.hold(500);
+            await new Promise(resolve => setImmediate(resolve)); // Let the read fail
+            assert.equal(env.plugin.peekElement?.find('.recent-tab-fab-peek-empty')?.textContent, 'No preview available.');
+            pointer.release(10, 10);
+        });
+    });
+
+    describe('double tap', () => {
+        beforeEach(() => {
+            env.plugin.settings.gestureActions.doubleTap = { action: 'toggleSide', commandId: '' };
+        });
+
+        it('waits for a possible second tap before running the tap', () => {
+            const pointer = press(env.fab, 'mouse');
+            pointer.release(0, 0);
+            assert.equal(env.app.workspace.activeLeaf, second);
+            pointer.hold(300);
+            assert.equal(env.app.workspace.activeLeaf, first);
+        });
+
+        it('runs only the double tap action for two quick taps', () => {
+            press(env.fab, 'mouse').release(0, 0);
+            const pointer = press(env.fab, 'mouse');
+            pointer.release(0, 0);
+            assert.equal(env.plugin.getActiveAnchorIndex('landscape'), 0);
+            pointer.hold(300);
+            assert.equal(env.app.workspace.activeLeaf, second);
+        });
+    });
+});
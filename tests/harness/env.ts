@@ -0,0 +1,127 @@
+// Shared fixtures: a loaded plugin on a fake workspace, and pointer/touch input on its FAB
+import './setup';
+import { mock } from 'node:test';
+import RecentTabsPlugin from '../../main';
+import { App, Notice, Plugin, WorkspaceItem, WorkspaceLeaf } from './obsidian';
+
+export interface TestEnv {
+    app: App;
+    plugin: RecentTabsPlugin;
+    fab: HTMLElement;
+}
+
+const manifest = { id: 'recent-tab-switcher-fab', name: 'Recent Tab Switcher FAB', version: '0.0.0' };
+
+// Loads the plugin with the given saved data (settings and tabHistory) on a workspace whose layout is ready;
+// prepare can open tabs and add files first, as if they were restored with the layout.
+// Timers are mocked until unloadPlugin, so tests advance time with mock.timers.tick.
+export async function loadPlugin(data: Record<string, unknown> | null = null, prepare?: (app: App) => void): Promise<TestEnv> {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    document.body.empty();
+    Notice.shown = [];
+    setWindowSize(1000, 800);
+
+    const app = new App();
+    prepare?.(app);
+    const plugin = new RecentTabsPlugin(app as any, manifest as any);
+    (plugin as unknown as Plugin).savedData = data;
+    await (plugin as unknown as Plugin).load();
+    mock.timers.tick(0); // Initial active leaf check
+    return { app, plugin, fab: plugin.fabElements[0] };
+}
+
+export function unloadPlugin(env: TestEnv) {
+    (env.plugin as unknown as Plugin).unload();
+    mock.timers.reset();
+}
+
+// --- Workspace ---
+// Opens a Markdown tab for a new file, without activating it
+export function openTab(app: App, filePath: string, parent?: WorkspaceItem): WorkspaceLeaf {
+    const file = app.vault.getAbstractFileByPath(filePath) ?? app.vault.addFile(filePath);
+    return app.workspace.createLeaf({ file, parent });
+}
+
+export function activate(app: App, leaf: WorkspaceLeaf) {
+    app.workspace.setActiveLeaf(leaf);
+}
+
+// Leaves (or for closed tabs their file paths) of the recorded history, newest first
+export function historyOf(plugin: RecentTabsPlugin): (WorkspaceLeaf | string | null)[] {
+    return plugin.tabHistory.map(entry => (entry.leaf as unknown as WorkspaceLeaf | null) ?? entry.filePath);
+}
+
+// --- Window ---
+export function setWindowSize(width: number, height: number) {
+    Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+    Object.defineProperty(window, 'innerHeight', { value: height, configurable: true });
+}
+
+export function resizeWindow(width: number, height: number) {
+    setWindowSize(width, height);
+    window.dispatchEvent(new Event('resize'));
+}
+
+// --- FAB Geometry ---
+// jsdom does not lay out, so mirror what styles.css does: the FAB sits at --fab-left/--fab-top
+export function fabRect(fab: HTMLElement) {
+    const left = parseFloat(fab.style.getPropertyValue('--fab-left')) || 0;
+    const top = parseFloat(fab.style.getPropertyValue('--fab-top')) || 0;
+    const size = parseFloat(fab.style.getPropertyValue('--fab-actual-size')) || 0;
+    return { left, top, right: left + size, bottom: top + size, width: size, height: size, x: left, y: top };
+}
+
+function mirrorLayout(fab: HTMLElement) {
+    const rect = fabRect(fab);
+    fab.style.left = `${rect.left}px`;
+    fab.style.top = `${rect.top}px`;
+    fab.getBoundingClientRect = () => fabRect(fab) as DOMRect;
+}
+
+// --- Pointer Input ---
+export type PointerKind = 'mouse' | 'touch';
+
+type PointerPhase = 'down' | 'move' | 'up' | 'cancel';
+
+// Only touches can be cancelled
+const EVENT_TYPES: Record<PointerKind, Partial<Record<PointerPhase, string>>> = {
+    mouse: { down: 'mousedown', move: 'mousemove', up: 'mouseup' },
+    touch: { down: 'touchstart', move: 'touchmove', up: 'touchend', cancel: 'touchcancel' },
+};
+
+function dispatch(target: EventTarget, kind: PointerKind, phase: PointerPhase, x: number, y: number) {
+    const type = EVENT_TYPES[kind][phase];
+    if (!type) throw new Error(`No ${phase} event for ${kind} input`);
+    if (kind === 'mouse') {
+        target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y }));
+        return;
+    }
+    // jsdom has TouchEvent but no Touch, so the touch lists are attached by hand
+    const event = new TouchEvent(type, { bubbles: true, cancelable: true });
+    const point = { identifier: 0, target, clientX: x, clientY: y };
+    const ended = phase === 'up' || phase === 'cancel';
+    Object.defineProperty(event, 'touches', { value: ended ? [] : [point] });
+    Object.defineProperty(event, 'changedTouches', { value: [point] });
+    target.dispatchEvent(event);
+}
+
+// A press on the FAB; the returned pointer moves and releases it, with time advancing in between
+export function press(fab: HTMLElement, kind: PointerKind, x = 0, y = 0) {
+    mirrorLayout(fab);
+    dispatch(fab, kind, 'down', x, y);
+    return {
+        move(toX: number, toY: number) {
+            dispatch(fab.doc, kind, 'move', toX, toY);
+            mock.timers.tick(16); // Let the drag frame apply
+        },
+        release(atX: number, atY: number) {
+            dispatch(fab.doc, kind, 'up', atX, atY);
+        },
+        cancel(atX: number, atY: number) {
+            dispatch(fab.doc, kind, 'cancel', atX, atY);
+        },
+        hold(ms: number) {
+            mock.timers.tick(ms);
+        },
+    };
+}
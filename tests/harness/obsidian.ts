@@ -0,0 +1,504 @@
+// Stand-in for the 'obsidian' package, which only ships type declarations.
+// Implements what main.ts uses, with just enough behaviour to drive the plugin from tests.
+// Test-only helpers (not part of the real API) are marked as such.
+
+type Callback = (...args: any[]) => any;
+
+export interface EventRef { events: Events; name: string; callback: Callback; }
+
+export class Events {
+    private handlers = new Map<string, EventRef[]>();
+
+    on(name: string, callback: Callback, ctx?: any): EventRef {
+        const ref: EventRef = { events: this, name, callback: ctx ? callback.bind(ctx) : callback };
+        this.handlers.set(name, [...(this.handlers.get(name) ?? []), ref]);
+        return ref;
+    }
+
+    offref(ref: EventRef) {
+        this.handlers.set(ref.name, (this.handlers.get(ref.name) ?? []).filter(other => other !== ref));
+    }
+
+    trigger(name: string, ...data: any[]) {
+        (this.handlers.get(name) ?? []).forEach(ref => ref.callback(...data));
+    }
+}
+
+// --- Helpers ---
+export const Platform = {
+    isDesktop: true,
+    isMobile: false,
+    isDesktopApp: true,
+    isMobileApp: false,
+    isPhone: false,
+    isTablet: false,
+};
+
+export class Notice {
+    static shown: string[] = []; // Test-only: every message shown since the last reset
+    message: string;
+
+    constructor(message: string) {
+        this.message = message;
+        Notice.shown.push(message);
+    }
+
+    hide() {}
+}
+
+export function setIcon(parent: HTMLElement, iconId: string) {
+    parent.empty();
+    parent.setAttribute('data-icon', iconId);
+}
+
+export function getIconIds(): string[] {
+    return ['arrow-left-right', 'pin', 'calendar', 'search'];
+}
+
+export function getAllTags(cache: any): string[] | null {
+    const tags: string[] = (cache.tags ?? []).map((tag: { tag: string }) => tag.tag);
+    const frontmatterTags = cache.frontmatter?.tags ?? [];
+    return tags.concat((Array.isArray(frontmatterTags) ? frontmatterTags : [frontmatterTags]).map((tag: string) => '#' + tag));
+}
+
+// Looks up the timer functions on every call, so mocked timers apply
+export function debounce(callback: Callback, timeout = 0, resetTimer = false) {
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    let lastArgs: any[] = [];
+    const run = () => {
+        timer = null;
+        callback(...lastArgs);
+    };
+    const debounced: any = (...args: any[]) => {
+        lastArgs = args;
+        if (timer && !resetTimer) return debounced;
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(run, timeout);
+        return debounced;
+    };
+    debounced.cancel = () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        return debounced;
+    };
+    debounced.run = () => {
+        if (!timer) return;
+        clearTimeout(timer);
+        run();
+    };
+    return debounced;
+}
+
+// --- Components and Plugins ---
+export class Component {
+    private cleanups: (() => void)[] = [];
+    private children: Component[] = [];
+    private loaded = false;
+
+    // Like the real one, loads children added during onload too
+    load(): any {
+        this.loaded = true;
+        return this.onload();
+    }
+    onload(): any {}
+
+    unload() {
+        this.children.splice(0).reverse().forEach(child => child.unload());
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+        this.loaded = false;
+        this.onunload();
+    }
+    onunload() {}
+
+    addChild<T extends Component>(child: T): T {
+        this.children.push(child);
+        if (this.loaded) child.load();
+        return child;
+    }
+
+    removeChild<T extends Component>(child: T): T {
+        if (this.children.indexOf(child) === -1) return child;
+        this.children.splice(this.children.indexOf(child), 1);
+        child.unload();
+        return child;
+    }
+
+    register(cleanup: () => void) {
+        this.cleanups.push(cleanup);
+    }
+
+    registerEvent(ref: EventRef) {
+        this.register(() => ref.events.offref(ref));
+    }
+
+    registerDomEvent(target: EventTarget, type: string, callback: Callback, options?: boolean | AddEventListenerOptions) {
+        target.addEventListener(type, callback, options);
+        this.register(() => target.removeEventListener(type, callback, options));
+    }
+}
+
+export class Plugin extends Component {
+    app: App;
+    manifest: any;
+    commands: { id: string; name: string; callback?: Callback }[] = []; // Test-only
+    savedData: any = null; // Test-only: what loadData returns, updated by saveData
+
+    constructor(app: App, manifest: any) {
+        super();
+        this.app = app;
+        this.manifest = manifest;
+    }
+
+    async loadData(): Promise<any> {
+        return this.savedData === null ? null : JSON.parse(JSON.stringify(this.savedData));
+    }
+
+    async saveData(data: any) {
+        this.savedData = JSON.parse(JSON.stringify(data));
+    }
+
+    addCommand(command: { id: string; name: string; callback?: Callback }) {
+        this.commands.push(command);
+        return command;
+    }
+
+    addSettingTab(_tab: PluginSettingTab) {}
+
+    addStatusBarItem(): HTMLElement {
+        const item = document.body.createDiv({ cls: 'status-bar-item' });
+        this.register(() => item.remove());
+        return item;
+    }
+}
+
+export class PluginSettingTab {
+    app: App;
+    plugin: Plugin;
+    containerEl: HTMLElement;
+
+    constructor(app: App, plugin: Plugin) {
+        this.app = app;
+        this.plugin = plugin;
+        this.containerEl = document.createElement('div');
+    }
+
+    display() {}
+    hide() {}
+}
+
+// Any call on a setting's component returns the component, like the real chainable setters
+function chainable(): any {
+    const component: any = new Proxy({}, { get: (_target, property) => property === 'then' ? undefined : () => component });
+    return component;
+}
+
+export class Setting {
+    settingEl: HTMLElement;
+
+    constructor(containerEl: HTMLElement) {
+        this.settingEl = containerEl.createDiv({ cls: 'setting-item' });
+    }
+
+    setName() { return this; }
+    setDesc() { return this; }
+    setHeading() { return this; }
+    setClass() { return this; }
+    private add(callback: Callback) { callback(chainable()); return this; }
+    addToggle(callback: Callback) { return this.add(callback); }
+    addButton(callback: Callback) { return this.add(callback); }
+    addExtraButton(callback: Callback) { return this.add(callback); }
+    addDropdown(callback: Callback) { return this.add(callback); }
+    addSlider(callback: Callback) { return this.add(callback); }
+    addText(callback: Callback) { return this.add(callback); }
+    addTextArea(callback: Callback) { return this.add(callback); }
+    addColorPicker(callback: Callback) { return this.add(callback); }
+}
+
+export class Modal {
+    app: App;
+    containerEl: HTMLElement;
+    titleEl: HTMLElement;
+    contentEl: HTMLElement;
+
+    constructor(app: App) {
+        this.app = app;
+        this.containerEl = document.createElement('div');
+        this.titleEl = this.containerEl.createDiv();
+        this.contentEl = this.containerEl.createDiv();
+    }
+
+    open() { this.onOpen(); }
+    close() { this.onClose(); }
+    onOpen() {}
+    onClose() {}
+}
+
+export class SuggestModal<T> extends Modal {
+    emptyStateText = '';
+    setPlaceholder(_placeholder: string) {}
+    setInstructions(_instructions: unknown[]) {}
+}
+
+export class FuzzySuggestModal<T> extends SuggestModal<T> {}
+
+export const MarkdownRenderer = {
+    async render(_app: App, markdown: string, el: HTMLElement) {
+        el.setText(markdown);
+    },
+};
+
+// --- Vault ---
+export class TFile {
+    path: string;
+    name: string;
+    basename: string;
+    extension: string;
+
+    constructor(path: string) {
+        this.path = path;
+        this.name = path.split('/').pop() ?? path;
+        const dot = this.name.lastIndexOf('.');
+        this.basename = dot > 0 ? this.name.slice(0, dot) : this.name;
+        this.extension = dot > 0 ? this.name.slice(dot + 1) : '';
+    }
+}
+
+export class Vault extends Events {
+    files = new Map<string, TFile>();
+
+    // Test-only
+    addFile(path: string): TFile {
+        const file = new TFile(path);
+        this.files.set(path, file);
+        return file;
+    }
+
+    // Test-only
+    deleteFile(file: TFile) {
+        this.files.delete(file.path);
+        this.trigger('delete', file);
+    }
+
+    // Test-only
+    renameFile(file: TFile, newPath: string) {
+        const oldPath = file.path;
+        this.files.delete(oldPath);
+        Object.assign(file, new TFile(newPath));
+        this.files.set(newPath, file);
+        this.trigger('rename', file, oldPath);
+    }
+
+    getAbstractFileByPath(path: string): TFile | null {
+        return this.files.get(path) ?? null;
+    }
+
+    async cachedRead(_file: TFile): Promise<string> {
+        return '';
+    }
+}
+
+export class MetadataCache extends Events {
+    caches = new Map<string, any>(); // Test-only: file path to its CachedMetadata
+
+    getFileCache(file: TFile): any {
+        return this.caches.get(file.path) ?? null;
+    }
+}
+
+// --- Workspace ---
+export class WorkspaceItem {
+    parent: WorkspaceItem | null = null;
+
+    getRoot(): WorkspaceItem {
+        return this.parent ? this.parent.getRoot() : this;
+    }
+
+    // Roots are containers here; real sidebars are roots inside the main window's container
+    getContainer(): WorkspaceContainer {
+        return this.getRoot() as WorkspaceContainer;
+    }
+}
+
+export class WorkspaceContainer extends WorkspaceItem {
+    win: Window;
+    doc: Document;
+
+    constructor(win: Window) {
+        super();
+        this.win = win;
+        this.doc = win.document;
+    }
+}
+
+export class WorkspaceTabs extends WorkspaceItem {
+    constructor(parent: WorkspaceItem) {
+        super();
+        this.parent = parent;
+    }
+}
+
+export class View {
+    app: App;
+    leaf: WorkspaceLeaf;
+    containerEl: HTMLElement;
+    viewType: string; // Test-only
+
+    constructor(leaf: WorkspaceLeaf, viewType: string) {
+        this.app = leaf.workspace.app;
+        this.leaf = leaf;
+        this.viewType = viewType;
+        this.containerEl = document.createElement('div');
+        // jsdom has no layout; the plugin ignores views without a size as hidden
+        Object.defineProperty(this.containerEl, 'offsetWidth', { value: 500 });
+        Object.defineProperty(this.containerEl, 'offsetHeight', { value: 500 });
+    }
+
+    getViewType(): string {
+        return this.viewType;
+    }
+}
+
+export class MarkdownView extends View {
+    file: TFile | null = null;
+    cursorLine = 0; // Test-only
+    editor = { getCursor: () => ({ line: this.cursorLine, ch: 0 }) };
+
+    constructor(leaf: WorkspaceLeaf) {
+        super(leaf, 'markdown');
+    }
+}
+
+let nextLeafId = 1;
+
+export class WorkspaceLeaf extends WorkspaceItem {
+    workspace: Workspace;
+    id = `leaf-${nextLeafId++}`;
+    view: View;
+    isDeferred = false;
+    deferredViewType: string | null = null; // Test-only: view type of a deferred leaf, whose view is not loaded yet
+    eState: Record<string, unknown> = {};
+
+    constructor(workspace: Workspace, parent: WorkspaceItem, viewType: string) {
+        super();
+        this.workspace = workspace;
+        this.parent = parent;
+        this.view = viewType === 'markdown' ? new MarkdownView(this) : new View(this, viewType);
+    }
+
+    get file(): TFile | null {
+        return this.view instanceof MarkdownView ? this.view.file : null;
+    }
+
+    getViewState() {
+        return { type: this.deferredViewType ?? this.view.getViewType(), state: this.file ? { file: this.file.path } : {} };
+    }
+
+    getDisplayText(): string {
+        return this.file?.basename ?? this.view.getViewType();
+    }
+
+    getIcon(): string {
+        return 'document';
+    }
+
+    getEphemeralState(): Record<string, unknown> {
+        return { ...this.eState };
+    }
+
+    setEphemeralState(state: Record<string, unknown>) {
+        this.eState = { ...state };
+    }
+
+    async openFile(file: TFile, openState?: { active?: boolean; eState?: Record<string, unknown> }) {
+        if (!(this.view instanceof MarkdownView)) this.view = new MarkdownView(this);
+        (this.view as MarkdownView).file = file;
+        if (openState?.eState) this.setEphemeralState(openState.eState);
+        if (openState?.active) this.workspace.setActiveLeaf(this);
+        this.workspace.trigger('layout-change');
+    }
+
+    detach() {
+        this.workspace.detachLeaf(this);
+    }
+}
+
+export class Workspace extends Events {
+    app: App;
+    layoutReady = true;
+    rootSplit: WorkspaceContainer;
+    leaves: WorkspaceLeaf[] = []; // Test-only: all open leaves, in every window
+    activeLeaf: WorkspaceLeaf | null = null;
+    private layoutReadyCallbacks: Callback[] = [];
+
+    constructor(app: App) {
+        super();
+        this.app = app;
+        this.rootSplit = new WorkspaceContainer(window);
+    }
+
+    onLayoutReady(callback: Callback) {
+        if (this.layoutReady) callback();
+        else this.layoutReadyCallbacks.push(callback);
+    }
+
+    // Test-only: finishes loading the layout
+    setLayoutReady() {
+        this.layoutReady = true;
+        this.layoutReadyCallbacks.splice(0).forEach(callback => callback());
+    }
+
+    // Test-only: opens a tab without activating it; tab groups default to one per container
+    // Deferred leaves show an empty view until they are loaded
+    createLeaf(options: { file?: TFile; viewType?: string; parent?: WorkspaceItem; deferred?: boolean } = {}): WorkspaceLeaf {
+        const viewType = options.viewType ?? 'markdown';
+        const leaf = new WorkspaceLeaf(this, options.parent ?? this.rootSplit, options.deferred ? 'empty' : viewType);
+        if (options.deferred) {
+            leaf.isDeferred = true;
+            leaf.deferredViewType = viewType;
+        }
+        if (options.file && leaf.view instanceof MarkdownView) leaf.view.file = options.file;
+        this.leaves.push(leaf);
+        return leaf;
+    }
+
+    // Test-only
+    detachLeaf(leaf: WorkspaceLeaf) {
+        this.leaves.remove(leaf);
+        leaf.parent = null;
+        if (this.activeLeaf === leaf) this.activeLeaf = null;
+        this.trigger('layout-change');
+    }
+
+    getLeaf(_newLeaf?: boolean | string): WorkspaceLeaf {
+        return this.createLeaf();
+    }
+
+    setActiveLeaf(leaf: WorkspaceLeaf, _params?: { focus?: boolean }) {
+        if (this.leaves.indexOf(leaf) === -1) throw new Error('Leaf is not attached');
+        this.activeLeaf = leaf;
+        this.trigger('active-leaf-change', leaf);
+    }
+
+    getActiveViewOfType<T extends View>(type: new (...args: any[]) => T): T | null {
+        const view = this.activeLeaf?.view;
+        return view instanceof type ? view : null;
+    }
+
+    getActiveFile(): TFile | null {
+        return this.activeLeaf?.file ?? null;
+    }
+
+    iterateAllLeaves(callback: (leaf: WorkspaceLeaf) => any) {
+        this.leaves.slice().forEach(callback);
+    }
+}
+
+export class App {
+    workspace: Workspace;
+    vault = new Vault();
+    metadataCache = new MetadataCache();
+
+    constructor() {
+        this.workspace = new Workspace(this);
+    }
+}
@@ -0,0 +1,95 @@
+// Loaded before main.ts: a jsdom window as the global environment, the DOM extensions Obsidian
+// adds to it, and the stand-in for the 'obsidian' module (the real package has no runtime code)
+import { JSDOM } from 'jsdom';
+import Module from 'module';
+import path from 'path';
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { pretendToBeVisual: true });
+const win = dom.window as unknown as Window & typeof globalThis;
+
+// --- Obsidian's DOM extensions ---
+interface ElementInfo { cls?: string | string[]; text?: string; attr?: Record<string, string | number | boolean>; title?: string; type?: string; }
+
+function createEl(this: Node, tag: string, info?: ElementInfo | string, callback?: (el: HTMLElement) => void): HTMLElement {
+    const el = (this.ownerDocument ?? this as Document).createElement(tag);
+    const options = typeof info === 'string' ? { cls: info } : info ?? {};
+    if (options.cls) el.addClasses(Array.isArray(options.cls) ? options.cls : options.cls.split(' '));
+    if (options.text !== undefined) el.textContent = options.text;
+    if (options.title !== undefined) el.title = options.title;
+    if (options.type !== undefined) el.setAttribute('type', options.type);
+    for (const name in options.attr ?? {}) el.setAttribute(name, String(options.attr![name]));
+    this.appendChild(el);
+    callback?.(el);
+    return el;
+}
+
+const nodeExtensions: Record<string, any> = {
+    createEl,
+    createDiv(this: Node, info?: ElementInfo | string, callback?: (el: HTMLElement) => void) { return createEl.call(this, 'div', info, callback); },
+    createSpan(this: Node, info?: ElementInfo | string, callback?: (el: HTMLElement) => void) { return createEl.call(this, 'span', info, callback); },
+    empty(this: Node) { while (this.firstChild) this.removeChild(this.firstChild); },
+    setText(this: Node, text: string) { this.textContent = text; },
+    detach(this: Node) { this.parentNode?.removeChild(this); },
+    instanceOf(this: Node, type: new () => unknown) { return this instanceof type; },
+};
+const elementExtensions: Record<string, any> = {
+    addClass(this: Element, ...classes: string[]) { this.classList.add(...classes); },
+    addClasses(this: Element, classes: string[]) { this.classList.add(...classes); },
+    removeClass(this: Element, ...classes: string[]) { this.classList.remove(...classes); },
+    toggleClass(this: Element, classes: string | string[], value: boolean) {
+        (Array.isArray(classes) ? classes : [classes]).forEach(cls => this.classList.toggle(cls, value));
+    },
+    hasClass(this: Element, cls: string) { return this.classList.contains(cls); },
+    setAttr(this: Element, name: string, value: string | number | boolean | null) {
+        if (value === null) this.removeAttribute(name);
+        else this.setAttribute(name, String(value));
+    },
+    find(this: Element, selector: string) { return this.querySelector(selector); },
+    findAll(this: Element, selector: string) { return Array.from(this.querySelectorAll(selector)); },
+};
+Object.assign(win.Node.prototype, nodeExtensions);
+Object.assign(win.Element.prototype, elementExtensions);
+Object.defineProperties(win.Node.prototype, {
+    doc: { get(this: Node) { return this.ownerDocument ?? this; }, configurable: true },
+    win: { get(this: Node) { return (this.ownerDocument ?? this as Document).defaultView; }, configurable: true },
+});
+Object.assign(win.Event.prototype, { instanceOf(this: Event, type: new () => unknown) { return this instanceof type; } });
+Object.assign(Array.prototype, {
+    remove<T>(this: T[], target: T) {
+        const index = this.indexOf(target);
+        if (index !== -1) this.splice(index, 1);
+    },
+});
+
+// Route the window's timers through the global ones, so mock.timers of node:test controls them
+Object.assign(win, {
+    setTimeout: (callback: () => void, delay?: number) => setTimeout(callback, delay),
+    clearTimeout: (timer: ReturnType<typeof setTimeout>) => clearTimeout(timer),
+    requestAnimationFrame: (callback: (time: number) => void) => setTimeout(() => callback(Date.now()), 16),
+});
+
+// --- Globals ---
+const globals: Record<string, unknown> = {
+    window: win,
+    document: win.document,
+    navigator: win.navigator,
+    activeWindow: win,
+    activeDocument: win.document,
+    requestAnimationFrame: win.requestAnimationFrame,
+    getComputedStyle: win.getComputedStyle.bind(win),
+    confirm: () => true,
+};
+for (const name of ['Node', 'Element', 'HTMLElement', 'Document', 'Event', 'UIEvent', 'MouseEvent', 'TouchEvent', 'KeyboardEvent']) {
+    globals[name] = (win as any)[name];
+}
+for (const name in globals) {
+    Object.defineProperty(globalThis, name, { value: globals[name], configurable: true, writable: true });
+}
+
+// --- The 'obsidian' module ---
+const moduleInternals = Module as unknown as { _resolveFilename(request: string, ...rest: unknown[]): string };
+const resolveFilename = moduleInternals._resolveFilename;
+moduleInternals._resolveFilename = function (request: string, ...rest: unknown[]) {
+    if (request === 'obsidian') return path.join(__dirname, 'obsidian.js');
+    return resolveFilename.call(this, request, ...rest);
+};
@@ -0,0 +1,191 @@
+import './harness/setup';
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { activate, historyOf, loadPlugin, openTab, TestEnv, unloadPlugin } from './harness/env';
+import { Notice, WorkspaceLeaf } from './harness/obsidian';
+
+describe('Recent tab history', () => {
+    let env: TestEnv;
+
+    afterEach(() => unloadPlugin(env));
+
+    // Opens and activates a tab per file, in order
+    function openTabs(...filePaths: string[]): WorkspaceLeaf[] {
+        return filePaths.map(filePath => {
+            const leaf = openTab(env.app, filePath);
+            activate(env.app, leaf);
+            return leaf;
+        });
+    }
+
+    describe('recording', () => {
+        it('keeps activated tabs newest first, each once', async () => {
+            env = await loadPlugin();
+            const [a, b, c] = openTabs('A.md', 'B.md', 'C.md');
+            activate(env.app, a);
+            assert.deepEqual(historyOf(env.plugin), [a, c, b]);
+        });
+
+        it('ignores untracked view types', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('A.md', 'B.md');
+            activate(env.app, env.app.workspace.createLeaf({ viewType: 'file-explorer' }));
+            assert.deepEqual(historyOf(env.plugin), [b, a]);
+        });
+
+        it('trims the history to its depth', async () => {
+            env = await loadPlugin({ historyDepth: 3 });
+            const [, , c, d, e] = openTabs('A.md', 'B.md', 'C.md', 'D.md', 'E.md');
+            assert.deepEqual(historyOf(env.plugin), [e, d, c]);
+        });
+    });
+
+    describe('jumping to the recent tab', () => {
+        it('toggles between the two most recent tabs', async () => {
+            env = await loadPlugin();
+            const [, b, c] = openTabs('A.md', 'B.md', 'C.md');
+            env.plugin.jumpToRecentTab();
+            assert.equal(env.app.workspace.activeLeaf, b);
+            env.plugin.jumpToRecentTab();
+            assert.equal(env.app.workspace.activeLeaf, c);
+            assert.equal(historyOf(env.plugin)[0], c);
+        });
+
+        it('treats the newest tab as the current one while an untracked view is focused', async () => {
+            env = await loadPlugin();
+            const [a] = openTabs('A.md', 'B.md');
+            activate(env.app, env.app.workspace.createLeaf({ viewType: 'search' }));
+            env.plugin.jumpToRecentTab();
+            assert.equal(env.app.workspace.activeLeaf, a);
+        });
+
+        it('tells when there is no previous tab', async () => {
+            env = await loadPlugin();
+            const [a] = openTabs('A.md');
+            env.plugin.jumpToRecentTab();
+            assert.equal(env.app.workspace.activeLeaf, a);
+            assert.deepEqual(Notice.shown, ['No previous tab available to switch to.']);
+        });
+
+        it('announces the jump to other plugins', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('A.md', 'B.md');
+            const jumps: unknown[][] = [];
+            env.app.workspace.on('recent-tab-switcher:jump', (target: any, previousLeaf: any) => jumps.push([target.leaf, previousLeaf]));
+            env.plugin.jumpToRecentTab();
+            assert.deepEqual(jumps, [[a, b]]);
+        });
+    });
+
+    describe('back and forward', () => {
+        it('moves through the history without reordering it', async () => {
+            env = await loadPlugin();
+            const [a, b, c] = openTabs('A.md', 'B.md', 'C.md');
+            env.plugin.goBackInHistory();
+            env.plugin.goBackInHistory();
+            assert.equal(env.app.workspace.activeLeaf, a);
+            env.plugin.goForwardInHistory();
+            assert.equal(env.app.workspace.activeLeaf, b);
+            assert.deepEqual(historyOf(env.plugin), [c, b, a]);
+        });
+
+        it('records the tab opened after navigating as the newest', async () => {
+            env = await loadPlugin();
+            const [a, b, c] = openTabs('A.md', 'B.md', 'C.md');
+            env.plugin.goBackInHistory();
+            const [d] = openTabs('D.md');
+            assert.deepEqual(historyOf(env.plugin), [d, c, b, a]);
+        });
+    });
+
+    describe('closed tabs', () => {
+        it('reopens the file of a closed tab', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('A.md', 'B.md');
+            a.detach();
+            assert.deepEqual(historyOf(env.plugin), [b, 'A.md']);
+
+            env.plugin.jumpToRecentTab();
+            const reopened = env.app.workspace.activeLeaf!;
+            assert.notEqual(reopened, a);
+            assert.equal(reopened.file?.path, 'A.md');
+            assert.deepEqual(historyOf(env.plugin), [reopened, b]);
+        });
+
+        it('skips closed tabs when configured to', async () => {
+            env = await loadPlugin({ closedTabs: 'skip' });
+            const [a, b, c] = openTabs('A.md', 'B.md', 'C.md');
+            b.detach();
+            assert.deepEqual(historyOf(env.plugin), [c, a]);
+            env.plugin.jumpToRecentTab();
+            assert.equal(env.app.workspace.activeLeaf, a);
+        });
+
+        it('forgets closed tabs whose file was deleted', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('A.md', 'B.md');
+            a.detach();
+            env.app.vault.deleteFile(env.app.vault.getAbstractFileByPath('A.md')!);
+            assert.deepEqual(historyOf(env.plugin), [b]);
+        });
+
+        it('follows renames of closed tabs', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('Notes/A.md', 'B.md');
+            a.detach();
+            env.app.vault.renameFile(env.app.vault.getAbstractFileByPath('Notes/A.md')!, 'Archive/A.md');
+            assert.deepEqual(historyOf(env.plugin), [b, 'Archive/A.md']);
+        });
+    });
+
+    describe('persistence', () => {
+        it('restores saved entries onto the open tabs and keeps closed ones with a file', async () => {
+            let b: WorkspaceLeaf | null = null;
+            env = await loadPlugin({
+                tabHistory: [
+                    { leafId: 'gone', filePath: 'B.md', eState: null },
+                    { leafId: null, filePath: 'Closed.md', eState: { scroll: 12 } },
+                    { leafId: null, filePath: 'Deleted.md', eState: null },
+                ],
+            }, app => {
+                app.vault.addFile('Closed.md');
+                b = openTab(app, 'B.md');
+            });
+            assert.deepEqual(historyOf(env.plugin), [b, 'Closed.md']);
+            assert.deepEqual(env.plugin.tabHistory[1].eState, { scroll: 12 });
+        });
+
+        it('shows a FAB hidden for lack of history once the history is restored', async () => {
+            env = await loadPlugin({
+                hideWithoutHistory: true,
+                tabHistory: [
+                    { leafId: null, filePath: 'A.md', eState: null },
+                    { leafId: null, filePath: 'B.md', eState: null },
+                ],
+            }, app => {
+                openTab(app, 'A.md');
+                openTab(app, 'B.md');
+            });
+            assert.equal(historyOf(env.plugin).length, 2);
+            assert.ok(!env.fab.hasClass('is-hidden'));
+        });
+
+        it('drops invalid saved entries and keeps the rest', async () => {
+            let b: WorkspaceLeaf | null = null;
+            env = await loadPlugin({
+                tabHistory: [null, 'B.md', { leafId: 3, filePath: 'B.md' }, { leafId: null, filePath: null }, { leafId: 'gone', filePath: 'B.md' }],
+            }, app => {
+                b = openTab(app, 'B.md');
+            });
+            assert.deepEqual(historyOf(env.plugin), [b]);
+        });
+
+        it('saves the history with the leaf ids', async () => {
+            env = await loadPlugin();
+            const [a, b] = openTabs('A.md', 'B.md');
+            env.plugin.requestHistorySave.run();
+            const saved = (env.plugin as any).savedData.tabHistory;
+            assert.deepEqual(saved.map((entry: { leafId: string }) => entry.leafId), [b.id, a.id]);
+        });
+    });
+});
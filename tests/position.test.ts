@@ -0,0 +1,140 @@
+import './harness/setup';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    avoidRects, clampPoint, getSwipeDirection, layoutMenuItems, pointToPosition, positionToPoint, separateFromAnchors, snapPoint,
+} from '../main';
+
+const viewport = { width: 1000, height: 800 };
+const bounds = { top: 0, left: 0, bottom: 800, right: 1000 };
+const fab = { width: 50, height: 50 };
+
+describe('positionToPoint / pointToPosition', () => {
+    it('converts percentages of the viewport to pixels', () => {
+        assert.deepEqual(positionToPoint({ top: '25%', left: '50%' }, viewport), { left: 500, top: 200 });
+    });
+
+    it('treats malformed values as 0%', () => {
+        assert.deepEqual(positionToPoint({ top: 'abc', left: '' }, viewport), { left: 0, top: 0 });
+    });
+
+    it('round-trips with two decimals', () => {
+        const position = pointToPosition({ left: 123.4, top: 78.8 }, viewport);
+        assert.deepEqual(position, { top: '9.85%', left: '12.34%' });
+        const point = positionToPoint(position, viewport);
+        assert.ok(Math.abs(point.left - 123.4) < 0.01);
+        assert.ok(Math.abs(point.top - 78.8) < 0.01);
+    });
+});
+
+describe('clampPoint', () => {
+    it('keeps positions that fit', () => {
+        assert.deepEqual(clampPoint({ left: 100, top: 100 }, fab, bounds), { left: 100, top: 100 });
+    });
+
+    it('keeps the whole FAB inside the bounds', () => {
+        assert.deepEqual(clampPoint({ left: 990, top: 790 }, fab, bounds), { left: 950, top: 750 });
+        assert.deepEqual(clampPoint({ left: -20, top: -5 }, fab, bounds), { left: 0, top: 0 });
+    });
+
+    it('uses the FAB width for the right edge', () => {
+        assert.deepEqual(clampPoint({ left: 990, top: 0 }, { width: 80, height: 50 }, bounds), { left: 920, top: 0 });
+    });
+
+    it('respects insets', () => {
+        const inset = { top: 40, left: 10, bottom: 760, right: 990 };
+        assert.deepEqual(clampPoint({ left: 0, top: 780 }, fab, inset), { left: 10, top: 710 });
+    });
+});
+
+describe('snapPoint', () => {
+    it('snaps to edges within the distance', () => {
+        assert.deepEqual(snapPoint({ left: 20, top: 300 }, fab, bounds, 24), { left: 0, top: 300 });
+        assert.deepEqual(snapPoint({ left: 930, top: 730 }, fab, bounds, 24), { left: 950, top: 750 });
+    });
+
+    it('leaves positions away from the edges alone', () => {
+        assert.deepEqual(snapPoint({ left: 400, top: 300 }, fab, bounds, 24), { left: 400, top: 300 });
+    });
+});
+
+describe('avoidRects', () => {
+    const statusBar = { top: 770, left: 700, bottom: 800, right: 1000 };
+
+    it('moves off an obstacle the shortest way', () => {
+        assert.deepEqual(avoidRects({ left: 900, top: 750 }, fab, bounds, [statusBar]), { left: 900, top: 720 });
+    });
+
+    it('keeps positions without overlap', () => {
+        assert.deepEqual(avoidRects({ left: 100, top: 750 }, fab, bounds, [statusBar]), { left: 100, top: 750 });
+    });
+
+    it('only considers ways out that stay in bounds', () => {
+        // Every other way out leaves the screen
+        const header = { top: 0, left: 0, bottom: 40, right: 1000 };
+        assert.deepEqual(avoidRects({ left: 500, top: 10 }, fab, bounds, [header]), { left: 500, top: 40 });
+    });
+
+    it('escapes obstacles it lands on while escaping another one', () => {
+        const sidePanel = { top: 0, left: 880, bottom: 770, right: 1000 };
+        const moved = avoidRects({ left: 900, top: 750 }, fab, bounds, [statusBar, sidePanel]);
+        assert.deepEqual(moved, { left: 830, top: 720 });
+    });
+});
+
+describe('separateFromAnchors', () => {
+    it('pushes a drop that is too close to another anchor away from it', () => {
+        const moved = separateFromAnchors({ left: 520, top: 400 }, fab, [{ left: 500, top: 400 }], 60, bounds);
+        assert.deepEqual(moved, { left: 560, top: 400 });
+    });
+
+    it('returns null when every anchor is far enough away', () => {
+        assert.equal(separateFromAnchors({ left: 100, top: 100 }, fab, [{ left: 500, top: 400 }], 60, bounds), null);
+    });
+
+    it('ignores an anchor on exactly the same spot', () => {
+        assert.equal(separateFromAnchors({ left: 500, top: 400 }, fab, [{ left: 500, top: 400 }], 60, bounds), null);
+    });
+
+    it('keeps the pushed position in bounds', () => {
+        const moved = separateFromAnchors({ left: 945, top: 400 }, fab, [{ left: 920, top: 400 }], 60, bounds);
+        assert.deepEqual(moved, { left: 950, top: 400 });
+    });
+});
+
+describe('getSwipeDirection', () => {
+    it('recognizes quick flicks by their dominant axis', () => {
+        assert.equal(getSwipeDirection(0, -60, 150), 'swipeUp');
+        assert.equal(getSwipeDirection(10, 60, 150), 'swipeDown');
+        assert.equal(getSwipeDirection(-60, 30, 150), 'swipeLeft');
+        assert.equal(getSwipeDirection(60, -30, 150), 'swipeRight');
+    });
+
+    it('treats slow or short movements as drags', () => {
+        assert.equal(getSwipeDirection(0, -200, 400), null);
+        assert.equal(getSwipeDirection(20, 30, 100), null);
+    });
+});
+
+describe('layoutMenuItems', () => {
+    it('stacks items towards the side with more room', () => {
+        const below = layoutMenuItems(2, { x: 500, y: 100 }, 50, 40, 'stack', viewport);
+        assert.ok(below[0].y > 100 && below[1].y > below[0].y);
+        const above = layoutMenuItems(2, { x: 500, y: 700 }, 50, 40, 'stack', viewport);
+        assert.ok(above[0].y < 700 && above[1].y < above[0].y);
+    });
+
+    it('fans radial items out towards the middle of the screen', () => {
+        const [item] = layoutMenuItems(1, { x: 950, y: 400 }, 50, 40, 'radial', viewport);
+        // A single item sits straight towards the center, one FAB radius plus gap away
+        assert.equal(item.y, 380);
+        assert.ok(item.x < 950 - 25 - 20);
+    });
+
+    it('keeps every item inside the viewport', () => {
+        layoutMenuItems(6, { x: 10, y: 10 }, 50, 40, 'radial', viewport).forEach(item => {
+            assert.ok(item.x >= 0 && item.x <= 960);
+            assert.ok(item.y >= 0 && item.y <= 760);
+        });
+    });
+});
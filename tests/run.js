@@ -0,0 +1,10 @@
+// Runs the compiled tests. The files are listed here because Node 20 does not expand globs itself,
+// and shells (e.g. cmd on Windows) do not always do it either.
+const { spawnSync } = require('child_process');
+const { readdirSync } = require('fs');
+const path = require('path');
+
+const dir = path.join('build', 'test', 'tests');
+const files = readdirSync(dir).filter(file => file.endsWith('.test.js')).map(file => path.join(dir, file));
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status ?? 1);
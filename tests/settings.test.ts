@@ -0,0 +1,152 @@
+import './harness/setup';
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { activate, loadPlugin, openTab, TestEnv, unloadPlugin } from './harness/env';
+import { Notice, Plugin } from './harness/obsidian';
+
+const layout = (left: string) => ({
+    anchorsPortrait: [{ name: 'Left', top: '85%', left }],
+    activeIndexPortrait: 0,
+    anchorsLandscape: [{ name: 'Left', top: '80%', left }],
+    activeIndexLandscape: 0,
+});
+
+describe('Settings', () => {
+    let env: TestEnv;
+
+    afterEach(() => unloadPlugin(env));
+
+    const saved = () => (env.plugin as unknown as Plugin).savedData;
+
+    describe('loading', () => {
+        it('drops only device layouts that are not an object', async () => {
+            env = await loadPlugin({ layouts: { phone: layout('10%'), tablet: 'abc' } });
+            assert.deepEqual(env.plugin.settings.layouts.phone, layout('10%'));
+            assert.ok(!('tablet' in env.plugin.settings.layouts));
+            assert.deepEqual(Notice.shown, ['Recent Tab Switcher: invalid settings were reset to their defaults (layouts.tablet).']);
+            assert.deepEqual(saved().layouts.phone, layout('10%'));
+        });
+
+        it('repairs a device layout without losing its valid anchors', async () => {
+            const tablet = {
+                ...layout('20%'),
+                activeIndexPortrait: 7,
+                anchorsLandscape: [{ name: 'Broken', top: 'abc', left: '5%' }, { name: 'Right', top: '80%', left: '95%' }],
+            };
+            env = await loadPlugin({ layouts: { phone: layout('10%'), tablet } });
+            assert.deepEqual(env.plugin.settings.layouts.phone, layout('10%'));
+            assert.deepEqual(env.plugin.settings.layouts.tablet, {
+                ...layout('20%'),
+                anchorsLandscape: [{ name: 'Right', top: '80%', left: '95%' }],
+            });
+            assert.deepEqual(Notice.shown, [
+                'Recent Tab Switcher: invalid settings were reset to their defaults (layouts.tablet.activeIndexPortrait, layouts.tablet.anchorsLandscape).',
+            ]);
+        });
+
+        it('falls back to the default anchors only for an orientation without valid ones', async () => {
+            env = await loadPlugin({ layouts: { tablet: { ...layout('20%'), anchorsPortrait: [{ name: 'Broken' }] } } });
+            const repaired = env.plugin.settings.layouts.tablet;
+            assert.deepEqual(repaired.anchorsLandscape, layout('20%').anchorsLandscape);
+            assert.ok(repaired.anchorsPortrait.length > 0);
+            assert.ok(repaired.anchorsPortrait.every(anchor => anchor.name !== 'Broken'));
+        });
+
+        it('writes data from a newer version back unchanged when the history is saved', async () => {
+            env = await loadPlugin({ settingsVersion: 99, fabSize: 150, historyScope: 'pane', futureSetting: { enabled: true } });
+            assert.equal(env.plugin.settings.fabSize, 50); // Out of range for this version
+            assert.deepEqual(Notice.shown, ['Recent Tab Switcher: the settings come from a newer version of the plugin. Update it to use all of them; until then, changes to the settings are not saved.']);
+            openTab(env.app, 'A.md');
+            activate(env.app, openTab(env.app, 'B.md'));
+            env.plugin.requestHistorySave.run();
+            assert.equal(saved().settingsVersion, 99);
+            assert.equal(saved().fabSize, 150);
+            assert.equal(saved().historyScope, 'pane');
+            assert.deepEqual(saved().futureSetting, { enabled: true });
+            assert.equal(saved().tabHistory.length, 1);
+        });
+    });
+
+    describe('migration', () => {
+        const LEGACY_KEYS = ['fabPositionLeft', 'fabPositionRight', 'activePositionIndex',
+            'posPortraitLeft', 'posPortraitRight', 'activeIndexPortrait',
+            'posLandscapeLeft', 'posLandscapeRight', 'activeIndexLandscape'];
+
+        const assertMigratedSave = () => {
+            assert.equal(saved().settingsVersion, 2);
+            LEGACY_KEYS.forEach(key => assert.ok(!(key in saved()), key));
+            assert.deepEqual(saved().layouts, env.plugin.settings.layouts);
+        };
+
+        it('moves the left/right pair of version 0 into the portrait anchors of this device', async () => {
+            env = await loadPlugin({
+                fabPositionLeft: { top: '70%', left: '8%' },
+                fabPositionRight: { top: '70%', left: '88%' },
+                activePositionIndex: 0,
+                fabSize: 60,
+            });
+            assert.deepEqual(env.plugin.settings.layouts[env.plugin.getDeviceProfileId()], {
+                anchorsPortrait: [{ name: 'Left', top: '70%', left: '8%' }, { name: 'Right', top: '70%', left: '88%' }],
+                activeIndexPortrait: 0,
+                anchorsLandscape: [{ name: 'Left', top: '80%', left: '5%' }, { name: 'Right', top: '80%', left: '95%' }],
+                activeIndexLandscape: 1,
+            });
+            assert.equal(env.plugin.settings.fabSize, 60);
+            assert.deepEqual(Notice.shown, []);
+            assertMigratedSave();
+        });
+
+        it('moves the pairs per orientation of version 1 into the anchors of this device', async () => {
+            env = await loadPlugin({
+                posPortraitLeft: { top: '75%', left: '12%' },
+                posPortraitRight: { top: '75%', left: '87%' },
+                activeIndexPortrait: 0,
+                posLandscapeLeft: { top: '60%', left: '3%' },
+                posLandscapeRight: { top: '60%', left: '97%' },
+                activeIndexLandscape: 0,
+            });
+            assert.deepEqual(env.plugin.settings.layouts[env.plugin.getDeviceProfileId()], {
+                anchorsPortrait: [{ name: 'Left', top: '75%', left: '12%' }, { name: 'Right', top: '75%', left: '87%' }],
+                activeIndexPortrait: 0,
+                anchorsLandscape: [{ name: 'Left', top: '60%', left: '3%' }, { name: 'Right', top: '60%', left: '97%' }],
+                activeIndexLandscape: 0,
+            });
+            assertMigratedSave();
+        });
+
+        it('drops a migrated anchor with a malformed percentage', async () => {
+            env = await loadPlugin({
+                posPortraitLeft: { top: 'abc', left: '12%' },
+                posPortraitRight: { top: '75%', left: '87%' },
+                activeIndexPortrait: 1,
+            });
+            const profileId = env.plugin.getDeviceProfileId();
+            assert.deepEqual(env.plugin.settings.layouts[profileId].anchorsPortrait, [{ name: 'Right', top: '75%', left: '87%' }]);
+            assert.equal(env.plugin.settings.layouts[profileId].activeIndexPortrait, 0);
+            assert.deepEqual(Notice.shown, [
+                `Recent Tab Switcher: invalid settings were reset to their defaults (layouts.${profileId}.anchorsPortrait, layouts.${profileId}.activeIndexPortrait).`,
+            ]);
+            assertMigratedSave();
+        });
+    });
+
+    describe('import', () => {
+        it('keeps the current layout of a profile whose imported layout is not an object', async () => {
+            env = await loadPlugin({ layouts: { phone: layout('10%') } });
+            const imported = await env.plugin.importSettings(JSON.stringify({
+                layouts: { phone: 'abc', tablet: layout('20%') },
+            }));
+            assert.ok(imported);
+            assert.deepEqual(env.plugin.settings.layouts.phone, layout('10%'));
+            assert.deepEqual(env.plugin.settings.layouts.tablet, layout('20%'));
+        });
+
+        it('reports layouts that are not an object', async () => {
+            env = await loadPlugin({ layouts: { phone: layout('10%') } });
+            assert.ok(await env.plugin.importSettings(JSON.stringify({ layouts: ['abc'], fabSize: 60 })));
+            assert.deepEqual(env.plugin.settings.layouts.phone, layout('10%'));
+            assert.equal(env.plugin.settings.fabSize, 60);
+            assert.deepEqual(Notice.shown, ['Settings imported. Invalid settings were reset to their defaults (layouts).']);
+        });
+    });
+});
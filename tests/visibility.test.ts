@@ -0,0 +1,32 @@
+import './harness/setup';
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { activate, loadPlugin, openTab, TestEnv, unloadPlugin } from './harness/env';
+
+describe('Visibility rules', () => {
+    let env: TestEnv;
+
+    afterEach(() => unloadPlugin(env));
+
+    it('hides the FAB on a view type to hide, also while its leaf is deferred', async () => {
+        env = await loadPlugin({ hiddenViewTypes: ['canvas'] });
+        activate(env.app, openTab(env.app, 'A.md'));
+        assert.ok(!env.fab.hasClass('is-hidden'));
+        activate(env.app, env.app.workspace.createLeaf({ viewType: 'canvas', deferred: true }));
+        assert.ok(env.fab.hasClass('is-hidden'));
+    });
+
+    it('keeps a single status bar toggle when it is turned off and on again', async () => {
+        env = await loadPlugin({ statusBarToggle: true });
+        for (const enabled of [false, true, false, true]) {
+            env.plugin.settings.statusBarToggle = enabled;
+            env.plugin.updateStatusBarToggle();
+        }
+        const items = document.body.findAll('.recent-tab-fab-status');
+        assert.equal(items.length, 1);
+        assert.ok(!items[0].hasClass('is-hidden'));
+        env.plugin.settings.statusBarToggle = false;
+        env.plugin.updateStatusBarToggle();
+        assert.ok(items[0].hasClass('is-hidden'));
+    });
+});
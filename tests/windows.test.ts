@@ -0,0 +1,27 @@
+import './harness/setup';
+import { afterEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RecentTabsPlugin from '../main';
+import { loadPlugin, resizeWindow, TestEnv, unloadPlugin } from './harness/env';
+
+describe('FAB windows', () => {
+    let env: TestEnv;
+
+    afterEach(() => {
+        unloadPlugin(env);
+        mock.restoreAll();
+    });
+
+    it('stops listening to a window once its FAB is removed', async () => {
+        const handleResize = mock.method(RecentTabsPlugin.prototype, 'handleResize');
+        env = await loadPlugin();
+        resizeWindow(800, 1000);
+        const calls = handleResize.mock.callCount();
+        assert.ok(calls > 0);
+
+        env.plugin.removeFAB(window);
+        assert.equal(env.plugin.getFab(window), null);
+        resizeWindow(1000, 800);
+        assert.equal(handleResize.mock.callCount(), calls);
+    });
+});